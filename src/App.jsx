@@ -1,9 +1,14 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import {
   Activity,
+  AppWindow,
   BadgeCheck,
   BadgeX,
+  BatteryLow,
   CircleHelp,
+  Cpu,
+  Download,
+  Eye,
   Gauge,
   Globe,
   Info,
@@ -11,13 +16,46 @@ import {
   Loader2,
   Lock,
   Network,
+  PhoneOff,
+  Plug,
+  Ruler,
   ShieldAlert,
   Signal,
+  SignalLow,
   Timer,
+  Upload,
   Wifi,
   WifiOff,
   Wrench,
 } from "lucide-react";
+import {
+  advanceWizard,
+  buildFacts,
+  clamp,
+  classifyHealth,
+  currentStep,
+  describeConfidence,
+  describeFailure,
+  diagnose,
+  DEFAULT_BURST,
+  DEFAULT_DOWNLOAD,
+  DEFAULT_UPLOAD,
+  DEFAULT_WEBSOCKET,
+  defaultWebSocketUrl,
+  PROBE_CATEGORIES,
+  PROTOCOL_LABELS,
+  STUN_SERVERS,
+  defaultRegistry,
+  getNetworkHint,
+  isOnline,
+  recheckOptions,
+  reliabilityScore,
+  runScan,
+  scanSteps,
+  skipWizardStep,
+  startWizard,
+  supportsLongTask,
+} from "./diagnostics/index.js";
 
 /**
  * Network Medic — client-only diagnostic helper (React + Tailwind)
@@ -38,182 +76,83 @@ const BRAND = {
   tagline: "Signal bars but no internet? Let’s diagnose your connection.",
 };
 
-// Prefer domain endpoints (raw IP often blocked on mobile networks)
-const ENDPOINTS = {
-  // 204 endpoints: common connectivity checks
-  google204: "https://www.google.com/generate_204",
-  gstatic204: "https://www.gstatic.com/generate_204",
-
-  // Cloudflare domain endpoints (more reliable than 1.1.1.1 IP)
-  cfTrace: "https://one.one.one.one/cdn-cgi/trace",
-  cfHome: "https://www.cloudflare.com/",
-
-  // DoH (best-effort; may be blocked/opaque)
-  dohCloudflare: "https://cloudflare-dns.com/dns-query?name=example.com&type=A",
+// Requests per latency probe in multi-sample mode (1 cold + warm follow-ups)
+const LATENCY_SAMPLES = 5;
+
+// Upload sink: the dev stand-in, or VITE_UPLOAD_URL for a build — static hosts can't accept
+// the POST, so without one the Upload Test is hidden. A cross-origin sink also needs connect-src.
+const UPLOAD_URL = import.meta.env.VITE_UPLOAD_URL || (import.meta.env.DEV ? DEFAULT_UPLOAD.url : null);
+
+// WebSocket echo: the dev stand-in, or VITE_WEBSOCKET_URL (a ws(s):// URL or a same-origin path) for a
+// build — static hosts can't hold the socket, so without one the Idle Connection Test is hidden.
+// A cross-origin echo also needs connect-src.
+const WEBSOCKET_URL = import.meta.env.VITE_WEBSOCKET_URL?.startsWith("/")
+  ? defaultWebSocketUrl(import.meta.env.VITE_WEBSOCKET_URL)
+  : import.meta.env.VITE_WEBSOCKET_URL || (import.meta.env.DEV ? defaultWebSocketUrl() : null);
+
+// The system-resolver NXDOMAIN check fetches made-up hosts, which the shipped CSP blocks;
+// builds only offer it when VITE_SYSTEM_DNS_CHECK=true says connect-src allows https:
+const SYSTEM_DNS_CHECK = import.meta.env.DEV || import.meta.env.VITE_SYSTEM_DNS_CHECK === "true";
+
+// The dev server runs a STUN stand-in on these ports (STUN_PORTS in standins/stun.js)
+const DEV_STUN_SERVERS =
+  typeof location !== "undefined" ? [3478, 3479].map((port) => `stun:${location.hostname}:${port}`) : [];
+
+// Group headings in the Latency card, one per registry category
+const PROBE_CATEGORY_LABELS = {
+  latency: "LATENCY",
+  captive: "CAPTIVE PORTAL CHECKS",
+  dns: "DNS",
+  transport: "TRANSPORT",
 };
 
-function clamp(n, a, b) {
-  return Math.max(a, Math.min(b, n));
-}
-
-async function timedFetch(url, timeoutMs = 2500, extraHeaders = {}) {
-  const controller = new AbortController();
-  const start = performance.now();
-  const id = setTimeout(() => controller.abort(), timeoutMs);
-
-  try {
-    // NOTE:
-    // - no-cors yields opaque responses but still measures timing
-    // - this is intentional: avoids reading content; safer for privacy
-    const res = await fetch(url, {
-      method: "GET",
-      mode: "no-cors",
-      cache: "no-store",
-      signal: controller.signal,
-      credentials: "omit",
-      redirect: "follow",
-      referrerPolicy: "no-referrer",
-      headers: extraHeaders,
-    });
-
-    const end = performance.now();
-    return {
-      ok: true, // "ok" means fetch completed; in no-cors it doesn't mean status 200
-      status: typeof res?.status === "number" ? res.status : 0,
-      type: res?.type || "opaque",
-      opaque: res?.type === "opaque",
-      ms: Math.round(end - start),
-    };
-  } catch (e) {
-    const end = performance.now();
-    return {
-      ok: false,
-      status: 0,
-      type: "error",
-      opaque: false,
-      ms: Math.round(end - start),
-      error: e?.name || "FetchError",
-    };
-  } finally {
-    clearTimeout(id);
-  }
-}
-
-function getNetworkHint() {
-  const conn = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
-  if (!conn) {
-    return { supported: false, effectiveType: "unknown", downlink: null, rtt: null, saveData: null };
-  }
-  return {
-    supported: true,
-    effectiveType: conn.effectiveType || "unknown",
-    downlink: typeof conn.downlink === "number" ? conn.downlink : null,
-    rtt: typeof conn.rtt === "number" ? conn.rtt : null,
-    saveData: typeof conn.saveData === "boolean" ? conn.saveData : null,
-  };
-}
-
-function supportsLongTask() {
-  try {
-    return typeof PerformanceObserver !== "undefined";
-  } catch {
-    return false;
-  }
-}
-
-function reliabilityScore({ externalChecksEnabled, networkHintSupported, longTaskSupported }) {
-  if (!externalChecksEnabled) {
-    return {
-      level: "low",
-      label: "Low",
-      note: "External diagnostics are OFF — results are guidance-only.",
-    };
-  }
-
-  const extras = (networkHintSupported ? 1 : 0) + (longTaskSupported ? 1 : 0);
-
-  if (extras >= 2) {
-    return {
-      level: "high",
-      label: "High",
-      note: "External probes + device signals available (best accuracy this browser can offer).",
-    };
-  }
-
-  if (extras === 1) {
-    return {
-      level: "medium",
-      label: "Medium",
-      note: "External probes available, but some device/network APIs are not supported.",
-    };
-  }
-
-  return {
-    level: "medium",
-    label: "Medium",
-    note: "External probes available. Device/network hints are limited on this browser.",
-  };
-}
-
-function classifyHealth({ online, externalChecksEnabled, latencyMs, dnsOk, captiveLikely }) {
-  if (!online) {
-    return {
-      level: "red",
-      title: "No Connectivity",
-      detail: "Device reports offline, or the network blocks outbound traffic.",
-      label: "OFFLINE",
-      icon: BadgeX,
-    };
-  }
-
-  if (!externalChecksEnabled) {
-    return {
-      level: "amber",
-      title: "Limited Scan Mode",
-      detail: "External diagnostics are OFF. Enable them for deeper checks.",
-      label: "PRIVACY MODE",
-      icon: Lock,
-    };
-  }
-
-  if (captiveLikely) {
-    return {
-      level: "amber",
-      title: "Captive Portal Suspected",
-      detail: "You may be stuck on a Wi-Fi login/intercept page.",
-      label: "LOGIN REQUIRED",
-      icon: ShieldAlert,
-    };
-  }
+// classifyHealth() returns a `kind`; icons stay on the UI side
+const HEALTH_ICONS = {
+  offline: BadgeX,
+  unreachable: BadgeX,
+  privacy: Lock,
+  captive: ShieldAlert,
+  dns: Globe,
+  dnsHijack: ShieldAlert,
+  intercept: Eye,
+  dnsSlow: Globe,
+  nxdomainRedirect: Globe,
+  ipFamily: Network,
+  quic: Layers,
+  mtu: Ruler,
+  calls: PhoneOff,
+  idleDrop: Plug,
+  lossy: SignalLow,
+  throttled: Gauge,
+  asymmetric: Upload,
+  bufferbloat: Timer,
+  congestion: Activity,
+  device: Cpu,
+  healthy: BadgeCheck,
+};
 
-  if (dnsOk === false) {
-    return {
-      level: "amber",
-      title: "DNS / APN Issue",
-      detail: "Transport looks reachable but domains fail (often APN/VPN/Private DNS).",
-      label: "DNS DEGRADED",
-      icon: Globe,
-    };
-  }
+const CAPTIVE_VERDICT_LABELS = {
+  match: "Expected",
+  mismatch: "Altered",
+  redirected: "Redirected",
+  unreachable: "—",
+  fast: "OK",
+  slow: "Slow",
+};
 
-  if (latencyMs != null && latencyMs >= 900) {
-    return {
-      level: "amber",
-      title: "Congestion / Stall",
-      detail: "Latency is extremely high — congestion, weak coverage, or a stalled session.",
-      label: "CONGESTION / STALL",
-      icon: Activity,
-    };
-  }
+const DNS_OUTCOME_LABELS = {
+  ok: "OK",
+  nxdomain: "NXDOMAIN",
+  servfail: "SERVFAIL",
+  hijacked: "Hijacked",
+  unreachable: "—",
+};
 
-  return {
-    level: "green",
-    title: "Healthy",
-    detail: "Connectivity looks normal based on browser-safe diagnostics.",
-    label: "OK",
-    icon: BadgeCheck,
-  };
-}
+// Probes declare an icon key; unknown keys fall back to Network
+const PROBE_ICONS = {
+  globe: Globe,
+  network: Network,
+};
 
 function detectCarrierHint() {
   // Browser carrier detection is weak; keep best-effort only.
@@ -242,17 +181,21 @@ const CARRIER_APN = {
   },
 };
 
+// level: green | amber | red; null (info findings) renders neutral
 function Badge({ level, label }) {
   const styles =
     level === "green"
       ? "bg-emerald-500/15 text-emerald-300 ring-emerald-500/25"
       : level === "amber"
         ? "bg-amber-500/15 text-amber-200 ring-amber-500/25"
-        : "bg-rose-500/15 text-rose-200 ring-rose-500/25";
+        : level == null
+          ? "bg-zinc-500/15 text-zinc-200 ring-zinc-500/25"
+          : "bg-rose-500/15 text-rose-200 ring-rose-500/25";
+  const dot = level === "green" ? "bg-emerald-300" : level === "amber" ? "bg-amber-200" : level == null ? "bg-zinc-200" : "bg-rose-200";
 
   return (
     <span className={`inline-flex items-center gap-2 rounded-full px-3 py-1 text-xs font-semibold tracking-wide ring-1 ${styles}`}>
-      <span className={`h-1.5 w-1.5 rounded-full ${level === "green" ? "bg-emerald-300" : level === "amber" ? "bg-amber-200" : "bg-rose-200"}`} />
+      <span className={`h-1.5 w-1.5 rounded-full ${dot}`} />
       {label}
     </span>
   );
@@ -296,6 +239,33 @@ function MetricRow({ icon: Icon, label, value, sub, status }) {
   );
 }
 
+const WATERFALL_SEGMENTS = [
+  { key: "dnsMs", label: "DNS", tint: "bg-sky-400/70" },
+  { key: "connectMs", label: "TCP", tint: "bg-violet-400/70" },
+  { key: "tlsMs", label: "TLS", tint: "bg-fuchsia-400/70" },
+  { key: "waitMs", label: "Wait", tint: "bg-amber-300/70" },
+  { key: "downloadMs", label: "Body", tint: "bg-emerald-400/70" },
+];
+
+function Waterfall({ timing }) {
+  if (!timing?.detailed) return null;
+  const total = WATERFALL_SEGMENTS.reduce((sum, s) => sum + (timing[s.key] || 0), 0);
+  if (total <= 0) return null;
+
+  return (
+    <div className="ml-12">
+      <div className="flex h-1.5 w-full overflow-hidden rounded-full bg-white/5">
+        {WATERFALL_SEGMENTS.map((s) =>
+          timing[s.key] > 0 ? <div key={s.key} className={s.tint} style={{ width: `${(timing[s.key] / total) * 100}%` }} /> : null,
+        )}
+      </div>
+      <div className="mt-1 flex flex-wrap gap-x-2 text-[10px] text-zinc-500">
+        {WATERFALL_SEGMENTS.map((s) => (timing[s.key] > 0 ? <span key={s.key}>{`${s.label} ${timing[s.key]}`}</span> : null))}
+      </div>
+    </div>
+  );
+}
+
 function Card({ title, icon: Icon, children, right, help }) {
   return (
     <div className="rounded-2xl border border-white/10 bg-zinc-950/60 p-4 shadow-[0_0_0_1px_rgba(255,255,255,0.04)]">
@@ -361,47 +331,25 @@ function formatDeltaMs(delta) {
   return `${sign}${delta} ms`;
 }
 
-function buildAutoSuggestion({ externalChecksEnabled, latestResult, abDeltaMs }) {
-  if (!externalChecksEnabled || !latestResult) return null;
-
-  const bestMs = latestResult.latency?.bestMs ?? null;
-  const dnsOk = latestResult.dns?.ok ?? null;
-  const captive = latestResult.captive?.suspected ?? null;
-
-  // Captive portal suggestion
-  if (captive === true) {
-    return "Captive portal suspected — turn OFF Wi-Fi, open a browser to complete login, then re-scan.";
-  }
-
-  // DNS issue suggestion
-  if (dnsOk === false) {
-    return "Domains failing but transport reachable — disable VPN/Private DNS, verify APN, then toggle airplane mode and re-scan.";
-  }
-
-  // High latency suggestion
-  if (bestMs != null && bestMs >= 900) {
-    return "Latency extremely high — try switching to 4G/LTE-only temporarily, move near a window, toggle airplane mode (10s), then re-scan.";
-  }
-
-  // A/B delta suggestion
-  if (abDeltaMs != null && abDeltaMs <= -250) {
-    return "Big improvement after airplane mode — likely a stalled data session. If frequent: reboot phone or re-seat SIM.";
-  }
-
-  if (abDeltaMs != null && abDeltaMs >= 250) {
-    return "Latency worsened after reset — likely congestion/coverage. Try a different spot/time and re-scan.";
-  }
-
-  return "If apps still fail despite a healthy scan: check Data Saver, VPN, Private DNS, and background restrictions.";
-}
-
 export default function NetworkMedic() {
   const [stage, setStage] = useState("idle"); // idle | scanning | done
   const [progress, setProgress] = useState(0);
+  const [progressSteps, setProgressSteps] = useState([]);
 
   const [externalChecksEnabled, setExternalChecksEnabled] = useState(false);
   const [abModeEnabled, setAbModeEnabled] = useState(true);
+  const [multiSampleEnabled, setMultiSampleEnabled] = useState(false);
+  const [burstEnabled, setBurstEnabled] = useState(false);
+  const [throughputEnabled, setThroughputEnabled] = useState(false);
+  const [uploadEnabled, setUploadEnabled] = useState(false);
+  const [loadTestEnabled, setLoadTestEnabled] = useState(false);
+  const [ipFamilyEnabled, setIpFamilyEnabled] = useState(false);
+  const [traceEnabled, setTraceEnabled] = useState(false);
+  const [systemDnsEnabled, setSystemDnsEnabled] = useState(false);
+  const [websocketEnabled, setWebsocketEnabled] = useState(false);
+  const [stunEnabled, setStunEnabled] = useState(false);
   const [abPhase, setAbPhase] = useState("none"); // none | baselineDone | afterDone
+  const [wizard, setWizard] = useState(null); // see startWizard(); baseline is the scan it started from
 
   const [carrier, setCarrier] = useState(() => detectCarrierHint());
   const carrierInfo = CARRIER_APN[carrier] || CARRIER_APN.unknown;
@@ -409,15 +357,11 @@ export default function NetworkMedic() {
   const [baseline, setBaseline] = useState(null);
   const [after, setAfter] = useState(null);
 
-  const [longTaskMs, setLongTaskMs] = useState(0);
-  const longTaskMsRef = useRef(0);
-  const perfObsRef = useRef(null);
-
-  const timerRef = useRef(null);
+  const scanAbortRef = useRef(null);
 
   const [scanMeta, setScanMeta] = useState({
     timestamp: null,
-    online: typeof navigator.onLine === "boolean" ? navigator.onLine : true,
+    online: isOnline(),
     networkHint: getNetworkHint(),
   });
 
@@ -428,7 +372,7 @@ export default function NetworkMedic() {
     const onOnline = () => {
       setScanMeta((s) => ({
         ...s,
-        online: typeof navigator.onLine === "boolean" ? navigator.onLine : true,
+        online: isOnline(),
       }));
     };
     window.addEventListener("online", onOnline);
@@ -439,42 +383,6 @@ export default function NetworkMedic() {
     };
   }, []);
 
-  function startPerfObserver() {
-    longTaskMsRef.current = 0;
-    setLongTaskMs(0);
-
-    try {
-      if (typeof PerformanceObserver === "undefined") return;
-      const obs = new PerformanceObserver((list) => {
-        const entries = list.getEntries();
-        for (const e of entries) {
-          longTaskMsRef.current += Math.round(e.duration || 0);
-        }
-        setLongTaskMs(longTaskMsRef.current);
-      });
-      obs.observe({ entryTypes: ["longtask"] });
-      perfObsRef.current = obs;
-    } catch {
-      // ignore
-    }
-  }
-
-  function stopPerfObserver() {
-    try {
-      perfObsRef.current?.disconnect?.();
-    } catch {
-      // ignore
-    }
-    perfObsRef.current = null;
-  }
-
-  function clearProgressTimer() {
-    if (timerRef.current) {
-      clearInterval(timerRef.current);
-      timerRef.current = null;
-    }
-  }
-
   const reliability = useMemo(() => {
     return reliabilityScore({
       externalChecksEnabled,
@@ -486,154 +394,96 @@ export default function NetworkMedic() {
   const latestResult = after || baseline;
 
   const health = useMemo(() => {
-    const latencyMs = latestResult?.latency?.bestMs ?? null;
-    const dnsOk = latestResult?.dns?.ok ?? null;
-    const captiveLikely = latestResult?.captive?.suspected ?? false;
-
-    return classifyHealth({
-      online: scanMeta.online,
-      externalChecksEnabled,
-      latencyMs,
-      dnsOk,
-      captiveLikely,
-    });
+    return classifyHealth({ online: scanMeta.online, externalChecksEnabled, result: latestResult });
   }, [latestResult, scanMeta.online, externalChecksEnabled]);
 
-  const HealthIcon = health.icon;
+  const HealthIcon = HEALTH_ICONS[health.kind] || CircleHelp;
 
   const deltas = useMemo(() => {
     if (!baseline || !after) return { latencyDelta: null, dnsChanged: null, captiveChanged: null };
     const latencyDelta =
-      baseline.latency?.bestMs != null && after.latency?.bestMs != null ? after.latency.bestMs - baseline.latency.bestMs : null;
+      baseline.latency?.medianMs != null && after.latency?.medianMs != null ? after.latency.medianMs - baseline.latency.medianMs : null;
     const dnsChanged = baseline.dns?.ok != null && after.dns?.ok != null ? after.dns.ok !== baseline.dns.ok : null;
     const captiveChanged =
       baseline.captive?.suspected != null && after.captive?.suspected != null ? after.captive.suspected !== baseline.captive.suspected : null;
     return { latencyDelta, dnsChanged, captiveChanged };
   }, [baseline, after]);
 
-  const autoSuggestion = useMemo(() => {
-    return buildAutoSuggestion({
-      externalChecksEnabled,
-      latestResult,
-      abDeltaMs: deltas.latencyDelta,
-    });
-  }, [externalChecksEnabled, latestResult, deltas.latencyDelta]);
-
-  async function runOneScan(label = "scan") {
-    const online = typeof navigator.onLine === "boolean" ? navigator.onLine : true;
-    const networkHint = getNetworkHint();
-
-    // Privacy mode output
-    if (!externalChecksEnabled) {
-      return {
-        label,
-        timestamp: new Date().toISOString(),
-        online,
-        networkHint,
-        latency: {
-          google204: null,
-          cfTrace: null,
-          cfHome: null,
-          bestMs: null,
-          worstMs: null,
-          note: "External diagnostics are disabled.",
-        },
-        captive: { suspected: null, note: "Disabled (Privacy Mode)." },
-        dns: { ok: null, note: "Disabled (Privacy Mode)." },
-        doh: null,
-      };
-    }
+  // Ranked findings for the Diagnosis card; empty until the first scan
+  const findings = useMemo(() => {
+    if (!latestResult) return [];
+    return diagnose({ online: scanMeta.online, externalChecksEnabled, result: latestResult, abDeltaMs: deltas.latencyDelta });
+  }, [externalChecksEnabled, latestResult, deltas.latencyDelta, scanMeta.online]);
 
-    // 3 probes: google204 + cloudflare trace + cloudflare homepage
-    const [g204, cfTrace, cfHome] = await Promise.all([
-      timedFetch(ENDPOINTS.google204, 2500),
-      timedFetch(ENDPOINTS.cfTrace, 2500),
-      timedFetch(ENDPOINTS.cfHome, 2500),
-    ]);
-
-    const samples = [g204?.ms, cfTrace?.ms, cfHome?.ms].filter((v) => typeof v === "number");
-    const bestMs = samples.length ? Math.min(...samples) : null;
-    const worstMs = samples.length ? Math.max(...samples) : null;
-
-    // Captive portal best-effort: if online and some probe works, but gstatic204 is very slow/errors
-    const captiveProbe = await timedFetch(ENDPOINTS.gstatic204, 2500);
-    const transportOk = [g204, cfTrace, cfHome].some((p) => p?.ok);
-    const captiveSuspected = online && transportOk && (captiveProbe.ok === false || captiveProbe.ms >= 1800);
-
-    // DNS heuristic:
-    // - Domain evidence: google204 or cloudflare.com succeeded
-    // - Transport evidence: any probe completed
-    const domainOk = Boolean(g204?.ok || cfHome?.ok);
-    const dnsLikelyBroken = transportOk && !domainOk;
-
-    // DoH best-effort (may be opaque/blocked)
-    const doh = await timedFetch(ENDPOINTS.dohCloudflare, 2500, { Accept: "application/dns-json" });
-
-    const dnsOk = !dnsLikelyBroken;
-    const dnsNote = dnsLikelyBroken
-      ? "Transport reachable but domains fail — DNS/APN/VPN/Private DNS likely."
-      : doh.ok
-        ? "DNS resolution appears OK (best effort)."
-        : "DNS looks OK, but DoH probe was inconclusive (blocked/opaque).";
+  const primaryFinding = findings.find((f) => f.severity !== "info") || findings[0] || null;
+  const secondaryFindings = findings.filter((f) => f !== primaryFinding);
 
+  // What a guided fix would target right now; the running wizard keeps its own target
+  const wizardPlan = useMemo(() => (externalChecksEnabled ? startWizard(findings) : null), [externalChecksEnabled, findings]);
+  const wizardStep = wizard ? currentStep(wizard, { carrier: carrierInfo }) : null;
+
+  function scanOptions() {
+    const upload = uploadEnabled && UPLOAD_URL ? { url: UPLOAD_URL } : false;
     return {
-      label,
-      timestamp: new Date().toISOString(),
-      online,
-      networkHint,
-      latency: {
-        google204: g204,
-        cfTrace,
-        cfHome,
-        bestMs,
-        worstMs,
-        note:
-          bestMs != null && bestMs >= 900
-            ? "Very high latency — likely congestion or stalled session."
-            : bestMs != null && bestMs >= 450
-              ? "Elevated latency — possible congestion."
-              : "Latency looks normal.",
-      },
-      captive: {
-        suspected: captiveSuspected,
-        note: captiveSuspected ? "Possible Wi-Fi login intercept detected." : "No strong captive portal signals.",
-      },
-      dns: { ok: dnsOk, note: dnsNote },
-      doh,
+      externalChecksEnabled,
+      samples: multiSampleEnabled ? LATENCY_SAMPLES : 1,
+      trace: traceEnabled,
+      nxdomainCheck: systemDnsEnabled && SYSTEM_DNS_CHECK ? { viaFetch: true } : true,
+      ipFamily: ipFamilyEnabled,
+      stun: stunEnabled ? (import.meta.env.DEV ? { servers: DEV_STUN_SERVERS } : true) : false,
+      websocket: websocketEnabled && WEBSOCKET_URL ? { url: WEBSOCKET_URL } : false,
+      burst: burstEnabled,
+      download: throughputEnabled,
+      upload,
+      responsiveness: loadTestEnabled ? { upload } : false,
     };
   }
 
+  // Progress follows the engine's real steps; first/last labels are flow-specific
+  function runOneScan(label, { firstStep, lastStep, options } = {}) {
+    const opts = options || scanOptions();
+    const steps = scanSteps(opts).map((s) => s.label);
+    if (firstStep) steps[0] = firstStep;
+    if (lastStep) steps[steps.length - 1] = lastStep;
+    setProgressSteps(steps);
+    const controller = new AbortController();
+    scanAbortRef.current = controller;
+    return runScan({ ...opts, label, signal: controller.signal, onProgress: (i) => setProgress(i + 1) }).finally(() => {
+      scanAbortRef.current = null;
+    });
+  }
+
+  function stopScan() {
+    scanAbortRef.current?.abort();
+  }
+
   async function runScanFlow() {
     if (stage === "scanning") return;
 
     setStage("scanning");
     setProgress(0);
 
-    setScanMeta({
+    const meta = {
       timestamp: new Date().toISOString(),
-      online: typeof navigator.onLine === "boolean" ? navigator.onLine : true,
+      online: isOnline(),
       networkHint: getNetworkHint(),
-    });
-
-    const steps = ["Initializing", "Testing latency", "Checking captive portal", "Verifying DNS", "Compiling diagnosis"];
-
-    clearProgressTimer();
-    timerRef.current = setInterval(() => setProgress((p) => clamp(p + 1, 0, steps.length)), 950);
-
-    startPerfObserver();
+    };
 
     try {
       const base = await runOneScan("Baseline");
+      // Stopped halfway: a partial scan isn't diagnosed, so the previous one stays on screen
+      if (base.aborted) {
+        setStage("done");
+        return;
+      }
+      setWizard(null);
+      setScanMeta(meta);
       setBaseline(base);
       setAfter(null);
 
       // Keep UI progress alive for a moment (UX)
       await new Promise((r) => setTimeout(r, 1200));
 
-      clearProgressTimer();
-      setProgress(steps.length);
-      stopPerfObserver();
-
       if (abModeEnabled && externalChecksEnabled) {
         setAbPhase("baselineDone");
       } else {
@@ -642,8 +492,6 @@ export default function NetworkMedic() {
 
       setStage("done");
     } catch {
-      clearProgressTimer();
-      stopPerfObserver();
       setStage("done");
     }
   }
@@ -655,37 +503,68 @@ export default function NetworkMedic() {
     setStage("scanning");
     setProgress(0);
 
-    const steps = ["Re-checking", "Testing latency", "Checking captive portal", "Verifying DNS", "Comparing results"];
-
-    clearProgressTimer();
-    timerRef.current = setInterval(() => setProgress((p) => clamp(p + 1, 0, steps.length)), 950);
-
-    startPerfObserver();
-
     try {
-      const aft = await runOneScan("After Reset");
+      const aft = await runOneScan("After Reset", { firstStep: "Re-checking", lastStep: "Comparing results" });
+      // Stopped halfway: stay on the baseline so the user can run the After scan again
+      if (aft.aborted) {
+        setStage("done");
+        return;
+      }
       setAfter(aft);
 
       await new Promise((r) => setTimeout(r, 900));
 
-      clearProgressTimer();
-      setProgress(steps.length);
-      stopPerfObserver();
+      setAbPhase("afterDone");
+      setStage("done");
+    } catch {
+      setStage("done");
+    }
+  }
+
+  // The scan on screen becomes the baseline; each step's re-check is the "after"
+  function startWizardFlow() {
+    if (!wizardPlan) return;
+    setBaseline(latestResult);
+    setAfter(null);
+    setAbPhase("none");
+    setWizard(wizardPlan);
+  }
+
+  async function runWizardRecheck() {
+    if (stage === "scanning" || !wizardStep || wizard?.status !== "active") return;
 
+    setStage("scanning");
+    setProgress(0);
+
+    try {
+      const aft = await runOneScan(`After: ${wizardStep.title}`, {
+        firstStep: "Re-checking",
+        lastStep: "Comparing results",
+        options: recheckOptions(scanOptions(), wizardStep.areas),
+      });
+      // Stopped halfway: keep the step and the previous comparison
+      if (aft.aborted) {
+        setStage("done");
+        return;
+      }
+      setAfter(aft);
       setAbPhase("afterDone");
+
+      const input = { online: aft.online, externalChecksEnabled, result: aft };
+      const deltaMs =
+        baseline?.latency?.medianMs != null && aft.latency?.medianMs != null ? aft.latency.medianMs - baseline.latency.medianMs : null;
+      setWizard((w) => advanceWizard(w, { findings: diagnose(input), facts: buildFacts(input), deltaMs }));
       setStage("done");
     } catch {
-      clearProgressTimer();
-      stopPerfObserver();
       setStage("done");
     }
   }
 
-  const scanStepsLabel =
-    stage === "scanning"
-      ? ["Initializing", "Testing latency", "Checking captive portal", "Verifying DNS", "Compiling diagnosis"][Math.max(0, Math.min(4, progress - 1))] ||
-        "Starting"
-      : "Ready";
+  const scanStepsLabel = stage === "scanning" ? progressSteps[progress - 1] || "Starting" : "Ready";
+
+  // Every registered probe, grouped by category in registry order
+  const probeGroups = PROBE_CATEGORIES.map((category) => ({ category, probes: defaultRegistry.byCategory(category) })).filter((g) => g.probes.length);
+  const probeCount = probeGroups.reduce((n, g) => n + g.probes.length, 0);
 
   const showAfterButton = abModeEnabled && externalChecksEnabled && abPhase === "baselineDone";
 
@@ -743,6 +622,7 @@ export default function NetworkMedic() {
             onChange={(v) => {
               setExternalChecksEnabled(v);
               setAbPhase("none");
+              setWizard(null);
               setBaseline(null);
               setAfter(null);
             }}
@@ -763,6 +643,98 @@ export default function NetworkMedic() {
             icon={Layers}
           />
 
+          <Toggle
+            enabled={multiSampleEnabled}
+            onChange={setMultiSampleEnabled}
+            label="Multi-Sample Latency"
+            hint={`Repeat each latency probe ${LATENCY_SAMPLES}× and report median, p90 and jitter. The first (cold) request is shown separately.`}
+            icon={Timer}
+          />
+
+          <Toggle
+            enabled={traceEnabled}
+            onChange={setTraceEnabled}
+            label="Read Network Path"
+            hint="Read Cloudflare's trace to show which edge location serves you, the HTTP/TLS version, and whether WARP or Gateway is in the path. Your IP is discarded."
+            icon={Globe}
+          />
+
+          {SYSTEM_DNS_CHECK ? (
+            <Toggle
+              enabled={systemDnsEnabled}
+              onChange={setSystemDnsEnabled}
+              label="Carrier DNS Rewrite Check"
+              hint="Request two made-up domains through your phone's own resolver (not just DoH) and time how they fail, to catch carriers that redirect mistyped addresses to ad pages."
+              icon={Globe}
+            />
+          ) : null}
+
+          <Toggle
+            enabled={ipFamilyEnabled}
+            onChange={setIpFamilyEnabled}
+            label="IPv4 / IPv6 Check"
+            hint="Reach an IPv4-only and an IPv6-only host (icanhazip.com) to spot a broken IPv6 path. Only the address family is kept, never your IP."
+            icon={Network}
+          />
+
+          <Toggle
+            enabled={stunEnabled}
+            onChange={setStunEnabled}
+            label="Call Readiness (UDP)"
+            hint={`Ask ${STUN_SERVERS.length} public STUN servers (Google, Cloudflare) how your connection looks from outside to check that UDP gets out and what kind of NAT you're behind — the reasons WhatsApp/Zoom calls fail while browsing works. Addresses are compared, never stored.`}
+            icon={PhoneOff}
+          />
+
+          {WEBSOCKET_URL ? (
+            <Toggle
+              enabled={websocketEnabled}
+              onChange={setWebsocketEnabled}
+              label="Idle Connection Test"
+              hint={`Hold a WebSocket to ${
+                new URL(WEBSOCKET_URL).host === location.host ? "this app's own server" : new URL(WEBSOCKET_URL).host
+              } and go quiet for up to ${Math.max(...DEFAULT_WEBSOCKET.idleSteps) / 1000} s at a time to see whether the carrier drops idle connections (why chat and push notifications arrive late). Adds about a minute.`}
+              icon={Plug}
+            />
+          ) : null}
+
+          <Toggle
+            enabled={burstEnabled}
+            onChange={setBurstEnabled}
+            label="Packet-Loss Burst"
+            hint={`Send ${DEFAULT_BURST.count} small requests in quick succession and report how many fail or time out. Adds a few seconds to the scan.`}
+            icon={SignalLow}
+          />
+
+          <Toggle
+            enabled={throughputEnabled}
+            onChange={setThroughputEnabled}
+            label="Throughput Test"
+            hint={`Download a ${(DEFAULT_DOWNLOAD.bytes / 1e6).toFixed(0)} MB file from this app's own server and measure speed. Uses mobile data; detects plan-cap throttling.`}
+            icon={Download}
+          />
+
+          {UPLOAD_URL ? (
+            <Toggle
+              enabled={uploadEnabled}
+              onChange={setUploadEnabled}
+              label="Upload Test"
+              hint={`Send ${(DEFAULT_UPLOAD.bytes / 1e6).toFixed(0)} MB of random data to ${
+                UPLOAD_URL.startsWith("/") ? "this app's own server" : new URL(UPLOAD_URL).host
+              } and measure uplink speed. Uses mobile data.`}
+              icon={Upload}
+            />
+          ) : null}
+
+          <Toggle
+            enabled={loadTestEnabled}
+            onChange={setLoadTestEnabled}
+            label="Latency Under Load"
+            hint={`Keep pinging while downloads saturate the link for a few seconds${
+              UPLOAD_URL ? " (plus the upload if Upload Test is on)" : ""
+            } and grade the latency increase A–F. Detects bufferbloat that ruins calls.`}
+            icon={Activity}
+          />
+
           <div className="rounded-2xl border border-white/10 bg-zinc-950/60 p-3 text-xs text-zinc-400 shadow-[0_0_0_1px_rgba(255,255,255,0.04)]">
             <div className="flex items-start gap-2">
               <Info className="mt-0.5 h-4 w-4 text-zinc-300" />
@@ -805,11 +777,11 @@ export default function NetworkMedic() {
           </div>
 
           <div className="mt-4 grid grid-cols-2 gap-3">
-            {/* Best Latency */}
+            {/* Median Latency */}
             <div className="rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
-              <div className="text-[11px] text-zinc-500">Best Latency</div>
+              <div className="text-[11px] text-zinc-500">Median Latency</div>
               <div className="mt-1 flex items-baseline gap-1">
-                <span className="text-lg font-extrabold">{latestResult?.latency?.bestMs ?? "—"}</span>
+                <span className="text-lg font-extrabold">{latestResult?.latency?.medianMs ?? "—"}</span>
                 <span className="text-xs text-zinc-500">ms</span>
               </div>
             </div>
@@ -830,8 +802,19 @@ export default function NetworkMedic() {
             <div className="rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
               <div className="text-[11px] text-zinc-500">DNS</div>
               <div className="mt-1 text-lg font-extrabold">
-                {latestResult?.dns?.ok == null ? "—" : latestResult.dns.ok ? "OK" : "BAD"}
+                {latestResult?.dns?.ok == null
+                  ? "—"
+                  : latestResult.dns.verdict === "hijacked"
+                    ? "Hijacked"
+                    : latestResult.dns.verdict === "failing"
+                      ? "Failing"
+                      : latestResult.dns.evidence === "doh"
+                        ? "OK"
+                        : "OK?"}
               </div>
+              {latestResult?.dns?.evidence ? (
+                <div className="mt-0.5 text-[11px] text-zinc-500">{latestResult.dns.evidence === "doh" ? "verified via DoH" : "inferred from probes"}</div>
+              ) : null}
             </div>
 
             {/* Captive */}
@@ -844,12 +827,37 @@ export default function NetworkMedic() {
                     ? "YES"
                     : "NO"}
               </div>
+              {latestResult?.captive?.evidence ? (
+                <div className="mt-0.5 text-[11px] text-zinc-500">
+                  {latestResult.captive.evidence === "content" ? "content-verified" : "timing only"}
+                </div>
+              ) : null}
+            </div>
+
+            {/* UDP / QUIC */}
+            <div className="rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
+              <div className="text-[11px] text-zinc-500">UDP/QUIC</div>
+              <div className="mt-1 text-lg font-extrabold">
+                {latestResult?.quic == null
+                  ? "—"
+                  : latestResult.quic.verdict === "ok"
+                    ? "OK"
+                    : latestResult.quic.verdict === "blocked"
+                      ? "Blocked?"
+                      : "Unknown"}
+              </div>
+              {latestResult?.quic?.verdict === "blocked" ? (
+                <div className="mt-0.5 text-[11px] text-zinc-500">HTTP/3 never negotiated</div>
+              ) : null}
             </div>
           </div>
 
           {stage === "scanning" ? (
             <div className="mt-4">
-              <ProgressPill step={progress} total={5} label={scanStepsLabel} />
+              <ProgressPill step={progress} total={progressSteps.length} label={scanStepsLabel} />
+              <button onClick={stopScan} className="mt-2 text-xs font-semibold text-zinc-400 underline-offset-2 hover:text-zinc-200 hover:underline">
+                Stop scan
+              </button>
             </div>
           ) : null}
         </div>
@@ -909,11 +917,11 @@ export default function NetworkMedic() {
                 <div className="grid grid-cols-3 gap-3">
                   <div>
                     <div className="text-[11px] text-zinc-500">Baseline</div>
-                    <div className="mt-1 text-sm font-bold text-zinc-100">{baseline.latency?.bestMs != null ? `${baseline.latency.bestMs} ms` : "—"}</div>
+                    <div className="mt-1 text-sm font-bold text-zinc-100">{baseline.latency?.medianMs != null ? `${baseline.latency.medianMs} ms` : "—"}</div>
                   </div>
                   <div>
                     <div className="text-[11px] text-zinc-500">After Reset</div>
-                    <div className="mt-1 text-sm font-bold text-zinc-100">{after?.latency?.bestMs != null ? `${after.latency.bestMs} ms` : "—"}</div>
+                    <div className="mt-1 text-sm font-bold text-zinc-100">{after?.latency?.medianMs != null ? `${after.latency.medianMs} ms` : "—"}</div>
                   </div>
                   <div>
                     <div className="text-[11px] text-zinc-500">Δ Latency</div>
@@ -957,26 +965,42 @@ export default function NetworkMedic() {
             title="Latency (Ping)"
             icon={Timer}
             help="Measures how long it takes to reach the internet (timed fetch; browsers can’t do true ICMP ping)."
-            right={<span className="text-xs text-zinc-400">best of 3 probes</span>}
+            right={
+              <span className="text-xs text-zinc-400">
+                {latestResult?.latency?.samplesPerProbe > 1 ? `median of ${latestResult.latency.samplesPerProbe} samples` : `${probeCount} probes`}
+              </span>
+            }
           >
             {(() => {
-              const latency = latestResult?.latency;
-
               const getOpaque = (p) => {
                 if (!p) return false;
                 // support either shape: { opaque: true } OR { type: 'opaque' }
                 return Boolean(p.opaque ?? (typeof p.type === "string" && p.type === "opaque"));
               };
 
+              const spread = (st) => {
+                if (!st || st.count < 2) return null;
+                const parts = [`min ${st.minMs}`, `p90 ${st.p90Ms}`];
+                if (st.jitterMs != null) parts.push(`jitter ${st.jitterMs}`);
+                if (st.coldMs != null) parts.push(`cold ${st.coldMs}`);
+                return `${parts.join(" · ")} ms`;
+              };
+
               const probeSub = (p) => {
                 if (!p) return externalChecksEnabled ? "Not tested" : "Disabled (Privacy Mode)";
-                if (p.ok) return getOpaque(p) ? "Probe completed (opaque response)" : "Probe completed";
-                return `Failed (${p.error || "Error"})`;
+                if (!p.ok) return p.failure ? `${p.failure.label} · ${describeFailure(p)}` : describeFailure(p);
+                const base = p.detail || (getOpaque(p) ? "Probe completed (opaque response)" : "Probe completed");
+                const lost = p.failures ? ` · ${p.failures}/${p.samples.length} failed` : "";
+                const proto = p.timing?.protocol ? ` · ${PROTOCOL_LABELS[p.timing.protocol] || p.timing.protocol}` : "";
+                const st = spread(p.stats);
+                return st ? `${st}${lost}${proto}` : `${base}${lost}${proto}`;
               };
 
               const probeStatus = (p) => {
                 if (!p) return externalChecksEnabled ? "neutral" : "warn";
                 if (!p.ok) return "bad";
+                // Content-verified probes: an unexpected answer matters more than its speed
+                if (p.verdict && p.verdict !== "match") return "warn";
                 if (typeof p.ms !== "number") return "neutral";
                 if (p.ms >= 900) return "bad";
                 if (p.ms >= 450) return "warn";
@@ -987,35 +1011,82 @@ export default function NetworkMedic() {
 
               return (
                 <div className="space-y-3">
-                  <MetricRow
-                    icon={Globe}
-                    label="google.com (204 probe)"
-                    value={probeValue(latency?.google204)}
-                    sub={probeSub(latency?.google204)}
-                    status={probeStatus(latency?.google204)}
-                  />
-
-                  <MetricRow
-                    icon={Network}
-                    label="Cloudflare (secondary probe)"
-                    value={probeValue(latency?.cfTrace)}
-                    sub={probeSub(latency?.cfTrace)}
-                   status={probeStatus(latency?.cfTrace)}
-                  />
-
-                  <MetricRow
-                    icon={Globe}
-                    label="cloudflare.com (domain probe)"
-                    value={probeValue(latency?.cfHome)}
-                    sub={probeSub(latency?.cfHome)}
-                    status={probeStatus(latency?.cfHome)}
-                  />
+                  {probeGroups.map((group) => (
+                    <div key={group.category} className="space-y-3">
+                      {probeGroups.length > 1 ? (
+                        <div className="text-xs font-semibold tracking-wide text-zinc-400">
+                          {PROBE_CATEGORY_LABELS[group.category] || group.category.toUpperCase()}
+                        </div>
+                      ) : null}
+                      {group.probes.map((probe) => {
+                        const p = latestResult?.probes?.[probe.id];
+                        return (
+                          <div key={probe.id} className="space-y-1.5">
+                            <MetricRow
+                              icon={PROBE_ICONS[probe.icon] || Network}
+                              label={probe.label}
+                              value={probeValue(p)}
+                              sub={probeSub(p)}
+                              status={probeStatus(p)}
+                            />
+                            <Waterfall timing={p?.timing} />
+                            {p?.failure ? <div className="pl-12 text-[11px] leading-relaxed text-zinc-500">{p.failure.explanation}</div> : null}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  ))}
+
+                  {latestResult?.responsiveness ? (
+                    <MetricRow
+                      icon={Activity}
+                      label={`Under load${latestResult.responsiveness.withUpload ? " (down + up)" : ""}`}
+                      value={latestResult.responsiveness.grade ? `Grade ${latestResult.responsiveness.grade}` : "—"}
+                      sub={
+                        latestResult.responsiveness.increaseMs != null
+                          ? `idle ${latestResult.responsiveness.idleMs} → loaded ${latestResult.responsiveness.loadedMs} ms (+${latestResult.responsiveness.increaseMs}) · ${latestResult.responsiveness.loadedRpm} RPM`
+                          : latestResult.responsiveness.note
+                      }
+                      status={
+                        !latestResult.responsiveness.grade
+                          ? "neutral"
+                          : "AB".includes(latestResult.responsiveness.grade)
+                            ? "good"
+                            : latestResult.responsiveness.grade === "C"
+                              ? "warn"
+                              : "bad"
+                      }
+                    />
+                  ) : null}
+
+                  {latestResult?.loss ? (
+                    <MetricRow
+                      icon={SignalLow}
+                      label="Request loss (burst)"
+                      value={`${latestResult.loss.lossPct}%`}
+                      sub={`${latestResult.loss.failed}/${latestResult.loss.sent} failed${
+                        latestResult.loss.timedOut ? ` · ${latestResult.loss.timedOut} timed out` : ""
+                      }${latestResult.loss.medianMs != null ? ` · median ${latestResult.loss.medianMs} ms` : ""}`}
+                      status={latestResult.loss.lossy ? "bad" : latestResult.loss.failed ? "warn" : "good"}
+                    />
+                  ) : null}
+
+                  {latestResult?.timeouts && latestResult.timeouts.source !== "default" ? (
+                    <div className="text-xs text-zinc-400">
+                      Timeouts adapted to {latestResult.timeouts.timeoutMs} ms
+                      {latestResult.timeouts.source === "observed"
+                        ? ` (first probe answered in ${latestResult.timeouts.firstMs} ms)`
+                        : ` (browser reports ${String(latestResult.timeouts.effectiveType).toUpperCase()})`}
+                      . “Timed out” means the request hung; “failed fast” means it was refused or blocked.
+                    </div>
+                  ) : null}
 
                   <div className="rounded-2xl bg-white/5 p-3 text-xs text-zinc-400 ring-1 ring-white/10">
                     <div className="flex items-start gap-2">
                       <CircleHelp className="mt-0.5 h-4 w-4 text-zinc-300" />
                       <div>
-                        Browsers can’t do true ICMP ping — these are timed HTTPS probes.{" "}
+                        Browsers can’t do true ICMP ping — these are timed HTTPS probes. The DNS/TCP/TLS breakdown only appears for servers that
+                        allow it (Timing-Allow-Origin).{" "}
                         <span className="text-zinc-200">“Opaque response” is normal</span>. If one probe fails
                         (e.g., TypeError) but others succeed, your internet is likely OK and that endpoint is
                         blocked/filtered.
@@ -1027,18 +1098,455 @@ export default function NetworkMedic() {
             })()}
           </Card>
 
-          {/* Diagnosis + Auto suggestion */}
+          {/* Captive portal evidence */}
+          {latestResult?.captive?.checks?.length ? (
+            <Card
+              title="Captive Portal"
+              icon={ShieldAlert}
+              help="Fetches a check file with a known response. A login page, redirect or altered content means the network is intercepting traffic."
+            >
+              <div className="space-y-3">
+                {latestResult.captive.checks.map((c) => (
+                  <MetricRow
+                    key={c.id}
+                    icon={c.verdict === "match" || c.verdict === "mismatch" || c.verdict === "redirected" ? BadgeCheck : Timer}
+                    label={c.label}
+                    value={CAPTIVE_VERDICT_LABELS[c.verdict] || c.verdict}
+                    sub={c.detail}
+                    status={
+                      c.verdict === "match" || c.verdict === "fast"
+                        ? "good"
+                        : c.verdict === "mismatch" || c.verdict === "redirected"
+                          ? "bad"
+                          : c.verdict === "slow"
+                            ? "warn"
+                            : "neutral"
+                    }
+                  />
+                ))}
+                <div className="text-xs text-zinc-400">{latestResult.captive.note}</div>
+              </div>
+            </Card>
+          ) : null}
+
+          {/* DNS verification */}
+          {latestResult?.doh || latestResult?.nxdomain ? (
+            <Card
+              title="DNS Verification"
+              icon={Globe}
+              help="Resolves well-known domains over DNS-over-HTTPS and checks the answers against their published addresses."
+            >
+              <div className="space-y-3">
+                {(latestResult.doh?.results || []).map((r) => (
+                  <MetricRow
+                    key={r.name}
+                    icon={Globe}
+                    label={r.name}
+                    value={DNS_OUTCOME_LABELS[r.outcome] || r.outcome}
+                    sub={
+                      r.outcome === "unreachable"
+                        ? `${r.failure?.label || "Resolver unreachable"} · ${describeFailure(r)}`
+                        : r.answers.length
+                          ? `${r.answers.join(", ")} · ${r.ms} ms`
+                          : `${r.statusText} · ${r.ms} ms`
+                    }
+                    status={r.outcome === "ok" ? "good" : r.outcome === "unreachable" ? "neutral" : "bad"}
+                  />
+                ))}
+                {latestResult.nxdomain ? (
+                  <MetricRow
+                    icon={ShieldAlert}
+                    label="Nonexistent domain check"
+                    value={
+                      latestResult.nxdomain.redirected != null
+                        ? latestResult.nxdomain.redirected
+                          ? "Redirected"
+                          : "NXDOMAIN"
+                        : latestResult.nxdomain.scope === "doh"
+                          ? "DoH only"
+                          : "—"
+                    }
+                    sub={latestResult.nxdomain.note}
+                    status={latestResult.nxdomain.redirected == null ? "neutral" : latestResult.nxdomain.redirected ? "bad" : "good"}
+                  />
+                ) : null}
+                <div className="text-xs text-zinc-400">{latestResult.dns.note}</div>
+              </div>
+            </Card>
+          ) : null}
+
+          {/* Proxy / TLS interception */}
+          {latestResult?.interception ? (
+            <Card
+              title="Traffic Inspection"
+              icon={Eye}
+              help="A known file is fetched from this app's own server and checked for changes and for headers that proxies add or strip."
+            >
+              <div className="space-y-3">
+                <MetricRow
+                  icon={BadgeCheck}
+                  label="Content integrity"
+                  value={
+                    latestResult.interception.integrity === "intact"
+                      ? "Intact"
+                      : latestResult.interception.integrity === "modified"
+                        ? "Modified"
+                        : "—"
+                  }
+                  sub="Reference file vs. its known SHA-256"
+                  status={
+                    latestResult.interception.integrity === "intact"
+                      ? "good"
+                      : latestResult.interception.integrity === "modified"
+                        ? "bad"
+                        : "neutral"
+                  }
+                />
+                <MetricRow
+                  icon={Layers}
+                  label="Proxy headers"
+                  value={latestResult.interception.proxyHeaders.length ? `${latestResult.interception.proxyHeaders.length} found` : "None"}
+                  sub={latestResult.interception.proxyHeaders.map((h) => h.name).join(", ") || "No Via / X-Cache marks"}
+                  status={latestResult.interception.proxyHeaders.length ? "bad" : "good"}
+                />
+                <MetricRow
+                  icon={ShieldAlert}
+                  label="Security headers"
+                  value={latestResult.interception.strippedHeaders.length ? `${latestResult.interception.strippedHeaders.length} missing` : "Present"}
+                  sub={latestResult.interception.strippedHeaders.join(", ") || null}
+                  status={latestResult.interception.strippedHeaders.length ? "warn" : "good"}
+                />
+                {latestResult.interception.protocolMismatch != null ? (
+                  <MetricRow
+                    icon={Network}
+                    label="End-to-end protocol"
+                    value={latestResult.interception.protocolMismatch ? "Mismatch" : "Consistent"}
+                    sub="Browser vs. Cloudflare's view of the same request"
+                    status={latestResult.interception.protocolMismatch ? "bad" : "good"}
+                  />
+                ) : null}
+                <div className="text-xs text-zinc-400">{latestResult.interception.note}</div>
+                {latestResult.interception.verdict === "inspected" ? (
+                  <ul className="list-disc space-y-1 pl-5 text-xs text-zinc-400">
+                    {latestResult.interception.evidence.map((e) => (
+                      <li key={e}>{e}</li>
+                    ))}
+                  </ul>
+                ) : null}
+              </div>
+            </Card>
+          ) : null}
+
+          {/* Network path (Cloudflare trace) */}
+          {latestResult?.trace ? (
+            <Card title="Network Path" icon={Globe} help="As seen by Cloudflare's edge. A far-away edge location usually means poor carrier routing.">
+              {latestResult.trace.ok ? (
+                <div className="space-y-3">
+                  <MetricRow
+                    icon={Globe}
+                    label="Edge location"
+                    value={latestResult.trace.colo || "—"}
+                    sub={`Visitor country: ${latestResult.trace.loc || "unknown"}${
+                      latestResult.trace.expectedColos ? ` · expected ${latestResult.trace.expectedColos.join("/")}` : ""
+                    }`}
+                    status={latestResult.trace.routing === "detour" ? "warn" : latestResult.trace.routing === "local" ? "good" : "neutral"}
+                  />
+                  <MetricRow
+                    icon={Lock}
+                    label="Protocol"
+                    value={latestResult.trace.http || "—"}
+                    sub={`TLS: ${latestResult.trace.tls || "unknown"}`}
+                    status="neutral"
+                  />
+                  <MetricRow
+                    icon={ShieldAlert}
+                    label="WARP / Gateway"
+                    value={latestResult.trace.gateway ? "Gateway" : latestResult.trace.warp ? "WARP" : "Off"}
+                    sub={latestResult.trace.gateway ? "Traffic passes through a filtering proxy" : latestResult.trace.warp ? "Cloudflare WARP is active" : "No Cloudflare interception"}
+                    status={latestResult.trace.gateway ? "warn" : "neutral"}
+                  />
+                  <div className="text-xs text-zinc-400">{latestResult.trace.note}</div>
+                </div>
+              ) : (
+                <div className="text-sm text-zinc-400">{latestResult.trace.note}</div>
+              )}
+            </Card>
+          ) : null}
+
+          {/* MTU ladder */}
+          {latestResult?.mtu ? (
+            <Card
+              title="Large Transfers (MTU)"
+              icon={Ruler}
+              help="Fetches growing responses and sends growing headers to this app's own server. If small ones pass and big ones hang, full-size packets are being dropped."
+            >
+              <div className="space-y-3">
+                {[
+                  { key: "download", label: "Response size", icon: Download, unit: "B" },
+                  { key: "upload", label: "Request header size", icon: Upload, unit: "B" },
+                ].map(({ key, label, icon, unit }) => {
+                  const ladder = latestResult.mtu[key];
+                  return (
+                    <MetricRow
+                      key={key}
+                      icon={icon}
+                      label={label}
+                      value={
+                        ladder.stallBytes != null
+                          ? `Stalls at ${ladder.stallBytes} ${unit}`
+                          : ladder.slowStallBytes != null
+                            ? `Slow at ${ladder.slowStallBytes} ${unit}`
+                            : ladder.maxOkBytes != null
+                              ? `OK to ${ladder.maxOkBytes} ${unit}`
+                              : "—"
+                      }
+                      sub={ladder.rungs.map((r) => `${r.bytes} ${r.ok ? "✓" : r.stalled ? "✗" : "?"}`).join(" · ")}
+                      status={ladder.stallBytes != null ? "bad" : ladder.slowStallBytes != null ? "warn" : ladder.maxOkBytes != null ? "good" : "neutral"}
+                    />
+                  );
+                })}
+                <div className="text-xs text-zinc-400">{latestResult.mtu.note}</div>
+              </div>
+            </Card>
+          ) : null}
+
+          {/* Address families */}
+          {latestResult?.ipFamily ? (
+            <Card
+              title="IPv4 / IPv6"
+              icon={Network}
+              help="Broken IPv6 is a classic cause of “some sites hang, others work”."
+              right={
+                latestResult.ipFamily.preferred ? (
+                  <span className="text-xs text-zinc-400">browser uses {latestResult.ipFamily.preferred === "v6" ? "IPv6" : "IPv4"}</span>
+                ) : null
+              }
+            >
+              <div className="space-y-3">
+                {[latestResult.ipFamily.v4, latestResult.ipFamily.v6].map((f) => (
+                  <MetricRow
+                    key={f.family}
+                    icon={Network}
+                    label={f.family === "v6" ? "IPv6 path" : "IPv4 path"}
+                    value={f.reachable ? (f.medianMs != null ? `${f.medianMs} ms` : "OK") : f.failure === "timeout" ? "Timed out" : "Unavailable"}
+                    sub={
+                      f.reachable
+                        ? f.confirmed
+                          ? "Reachable (family confirmed)"
+                          : "Reachable"
+                        : f.failure === "timeout"
+                          ? "Requests hang — packets are being dropped"
+                          : "No route (network doesn't offer it)"
+                    }
+                    status={f.reachable ? "good" : f.failure === "timeout" ? "bad" : "neutral"}
+                  />
+                ))}
+                <div className="text-xs text-zinc-400">{latestResult.ipFamily.note}</div>
+              </div>
+            </Card>
+          ) : null}
+
+          {/* UDP / NAT */}
+          {latestResult?.stun ? (
+            <Card
+              title="Calls (UDP / NAT)"
+              icon={PhoneOff}
+              help="Voice and video calls use UDP. STUN servers report the public address they see, which reveals whether UDP gets out and how the NAT maps it."
+              right={latestResult.stun.ms != null ? <span className="text-xs text-zinc-400">{latestResult.stun.ms} ms</span> : null}
+            >
+              <div className="space-y-3">
+                {latestResult.stun.supported ? (
+                  <>
+                    <MetricRow
+                      icon={Signal}
+                      label="Outbound UDP"
+                      value={latestResult.stun.verdict === "open" ? "Open" : latestResult.stun.verdict === "blocked" ? "Blocked" : "Unknown"}
+                      sub={`${latestResult.stun.servers.filter((x) => x.answered).length || "No"} STUN server(s) confirmed answering`}
+                      status={latestResult.stun.verdict === "open" ? "good" : latestResult.stun.verdict === "blocked" ? "bad" : "neutral"}
+                    />
+                    <MetricRow
+                      icon={Network}
+                      label="NAT type"
+                      value={latestResult.stun.nat === "cone" ? "Cone" : latestResult.stun.nat === "symmetric" ? "Symmetric" : "—"}
+                      sub={
+                        latestResult.stun.nat === "symmetric"
+                          ? "New public port per destination"
+                          : latestResult.stun.nat === "cone"
+                            ? "Same public port for every destination"
+                            : null
+                      }
+                      status={latestResult.stun.nat === "cone" ? "good" : latestResult.stun.nat === "symmetric" ? "warn" : "neutral"}
+                    />
+                  </>
+                ) : null}
+                <div className="text-xs text-zinc-400">{latestResult.stun.note}</div>
+              </div>
+            </Card>
+          ) : null}
+
+          {/* Long-lived connection */}
+          {latestResult?.websocket ? (
+            <Card
+              title="Idle Connection"
+              icon={Plug}
+              help="Chat, push and call apps keep one connection open. If the carrier's NAT forgets it while idle, messages stop arriving until the app reconnects."
+              right={
+                latestResult.websocket.connectMs != null ? (
+                  <span className="text-xs text-zinc-400">opened in {latestResult.websocket.connectMs} ms</span>
+                ) : null
+              }
+            >
+              <div className="space-y-3">
+                {latestResult.websocket.ok ? (
+                  <>
+                    <MetricRow
+                      icon={Activity}
+                      label="Message round trip"
+                      value={latestResult.websocket.rtt.medianMs != null ? `${latestResult.websocket.rtt.medianMs} ms` : "—"}
+                      sub={
+                        latestResult.websocket.rtt.lost
+                          ? `${latestResult.websocket.rtt.lost} of ${latestResult.websocket.rtt.lost + latestResult.websocket.rtt.samples.length} echoes lost`
+                          : latestResult.websocket.rtt.jitterMs != null
+                            ? `Jitter ${latestResult.websocket.rtt.jitterMs} ms`
+                            : null
+                      }
+                      status={latestResult.websocket.rtt.lost ? "warn" : "good"}
+                    />
+                    {latestResult.websocket.idle.map((step) => (
+                      <MetricRow
+                        key={step.idleMs}
+                        icon={Timer}
+                        label={`Idle ${step.idleMs / 1000} s`}
+                        value={step.survived ? "Alive" : "Dropped"}
+                        sub={step.survived ? `Echo in ${step.rtt} ms` : "No echo — connection silently lost"}
+                        status={step.survived ? "good" : "bad"}
+                      />
+                    ))}
+                  </>
+                ) : null}
+                <div className="text-xs text-zinc-400">{latestResult.websocket.note}</div>
+              </div>
+            </Card>
+          ) : null}
+
+          {/* Device-side interference */}
+          {latestResult?.device ? (
+            <Card
+              title="Device Load"
+              icon={Cpu}
+              help="Probes are timed on this page. A busy phone, a hidden tab or a nearly empty battery slows them down just like a bad network would."
+            >
+              <div className="space-y-3">
+                <MetricRow
+                  icon={Cpu}
+                  label="Main-thread blocking"
+                  value={latestResult.device.longTaskSupported ? `${latestResult.device.longTaskMs} ms` : "—"}
+                  sub={latestResult.device.longTaskSupported ? "Long tasks while probes ran" : "Not measurable in this browser"}
+                  status={!latestResult.device.longTaskSupported ? "neutral" : latestResult.device.flags.busyMs != null ? "warn" : "good"}
+                />
+                <MetricRow
+                  icon={AppWindow}
+                  label="Tab in background"
+                  value={latestResult.device.hiddenMs ? `${Math.round(latestResult.device.hiddenMs / 1000)} s` : "No"}
+                  sub="Hidden tabs have their timers throttled"
+                  status={latestResult.device.flags.backgroundMs != null ? "warn" : "good"}
+                />
+                <MetricRow
+                  icon={BatteryLow}
+                  label="Battery"
+                  value={latestResult.device.battery.level != null ? `${Math.round(latestResult.device.battery.level * 100)}%` : "—"}
+                  sub={
+                    !latestResult.device.battery.supported
+                      ? "Battery status not exposed by this browser"
+                      : latestResult.device.battery.charging
+                        ? "Charging"
+                        : "On battery"
+                  }
+                  status={!latestResult.device.battery.supported ? "neutral" : latestResult.device.flags.batteryPct != null ? "warn" : "good"}
+                />
+                <div className="text-xs text-zinc-400">{latestResult.device.note}</div>
+              </div>
+            </Card>
+          ) : null}
+
+          {/* Throughput */}
+          {latestResult?.throughput?.download || latestResult?.throughput?.upload ? (
+            <Card
+              title="Throughput"
+              icon={Gauge}
+              help="Measured by transferring data of known size. The browser's own network estimate is shown for comparison."
+            >
+              {(() => {
+                const { download: d, upload: u, asymmetry } = latestResult.throughput;
+                const downSub = (r) =>
+                  r.ok
+                    ? `${(r.bytes / 1e6).toFixed(1)} MB in ${(r.ms / 1000).toFixed(1)} s${r.complete ? "" : " (stopped early)"}${
+                        r.plateau ? ` · steady at ~${r.plateauMbps} Mbps` : ""
+                      }`
+                    : `Failed (${r.error || "Error"})`;
+                const upSub = (r) => (r.ok ? `${(r.bytes / 1e6).toFixed(1)} MB in ${(r.ms / 1000).toFixed(1)} s` : r.note);
+                return (
+                  <div className="space-y-3">
+                    {d ? (
+                      <MetricRow
+                        icon={Download}
+                        label="Download"
+                        value={d.mbps != null ? `${d.mbps} Mbps` : "—"}
+                        sub={downSub(d)}
+                        status={!d.ok ? "bad" : d.throttled ? "warn" : d.mbps < 1 ? "warn" : "good"}
+                      />
+                    ) : null}
+                    {u ? (
+                      <MetricRow
+                        icon={Upload}
+                        label="Upload"
+                        value={u.mbps != null ? `${u.mbps} Mbps` : "—"}
+                        sub={upSub(u)}
+                        status={!u.ok ? "bad" : asymmetry?.asymmetric ? "warn" : u.mbps < 0.5 ? "warn" : "good"}
+                      />
+                    ) : null}
+                    {netHint?.downlink != null ? (
+                      <div className="text-xs text-zinc-400">Browser estimate: ~{netHint.downlink} Mbps (coarse).</div>
+                    ) : null}
+                    {d ? <div className="text-xs text-zinc-400">{d.note}</div> : null}
+                    {asymmetry ? <div className="text-xs text-zinc-400">{asymmetry.note}</div> : null}
+                  </div>
+                );
+              })()}
+            </Card>
+          ) : null}
+
+          {/* Diagnosis: primary finding + ranked secondary findings */}
           <div className="rounded-3xl border border-white/10 bg-white/5 p-4 ring-1 ring-white/10">
             <div className="flex items-start justify-between gap-4">
               <div className="min-w-0">
                 <div className="text-xs font-semibold tracking-wide text-zinc-400">DIAGNOSIS</div>
-                <div className="mt-1 text-xl font-black tracking-tight">{health.title}</div>
+                <div className="mt-1 text-xl font-black tracking-tight">
+                  {health.title}
+                  {health.confidence ? (
+                    <span className="ml-2 text-sm font-medium tracking-normal text-zinc-400">({describeConfidence(health.confidence)})</span>
+                  ) : null}
+                </div>
                 <div className="mt-2 text-sm leading-relaxed text-zinc-300">{health.detail}</div>
 
-                {autoSuggestion ? (
+                {primaryFinding ? (
+                  <div className="mt-3">
+                    <Badge level={primaryFinding.level} label={`${primaryFinding.severity.toUpperCase()} · ${primaryFinding.label}`} />
+                  </div>
+                ) : null}
+
+                {primaryFinding?.evidence.length ? (
+                  <ul className="mt-3 space-y-1 text-xs text-zinc-400">
+                    {primaryFinding.evidence.map((line) => (
+                      <li key={line}>• {line}</li>
+                    ))}
+                  </ul>
+                ) : null}
+
+                {primaryFinding?.suggestions.length ? (
                   <div className="mt-3 rounded-xl bg-white/5 p-3 text-xs text-zinc-300 ring-1 ring-white/10">
-                    <div className="font-semibold text-zinc-200">Auto suggestion</div>
-                    <div className="mt-1 text-zinc-400">{autoSuggestion}</div>
+                    <div className="font-semibold text-zinc-200">Suggested fix</div>
+                    <div className="mt-1 text-zinc-400">{primaryFinding.suggestions[0]}</div>
                   </div>
                 ) : null}
               </div>
@@ -1047,37 +1555,166 @@ export default function NetworkMedic() {
                 <Activity className="h-6 w-6" />
               </div>
             </div>
+
+            {secondaryFindings.length ? (
+              <div className="mt-4 space-y-2">
+                <div className="text-xs font-semibold tracking-wide text-zinc-400">ALSO FOUND ({secondaryFindings.length})</div>
+                {secondaryFindings.map((f) => {
+                  const Icon = HEALTH_ICONS[f.kind] || CircleHelp;
+                  return (
+                    <details key={f.id} className="rounded-xl bg-white/5 p-3 text-xs text-zinc-300 ring-1 ring-white/10">
+                      <summary className="flex cursor-pointer list-none items-center justify-between gap-3">
+                        <span className="flex min-w-0 items-center gap-2 font-semibold text-zinc-200">
+                          <Icon className="h-4 w-4 shrink-0" />
+                          <span className="truncate">{f.title}</span>
+                        </span>
+                        <Badge level={f.level} label={f.severity.toUpperCase()} />
+                      </summary>
+                      <div className="mt-2 leading-relaxed text-zinc-400">{f.detail}</div>
+                      <div className="mt-1 text-zinc-500">({describeConfidence(f.confidence)})</div>
+                      {f.evidence.length ? (
+                        <ul className="mt-2 space-y-1 text-zinc-400">
+                          {f.evidence.map((line) => (
+                            <li key={line}>• {line}</li>
+                          ))}
+                        </ul>
+                      ) : null}
+                      {f.suggestions.length ? (
+                        <div className="mt-2 text-zinc-300">
+                          <span className="font-semibold text-zinc-200">Fix: </span>
+                          {f.suggestions[0]}
+                        </div>
+                      ) : null}
+                    </details>
+                  );
+                })}
+              </div>
+            ) : null}
           </div>
 
-          {/* Quick Fix */}
+          {/* Quick Fix: guided steps driven by the findings (falls back to the generic list) */}
           <div className="rounded-3xl border border-white/10 bg-zinc-950/60 p-4 shadow-[0_0_0_1px_rgba(255,255,255,0.04)]">
-            <div className="mb-3 flex items-center gap-2">
-              <div className="rounded-xl bg-white/5 p-2 text-zinc-200">
-                <Wrench className="h-5 w-5" />
+            <div className="mb-3 flex items-center justify-between gap-2">
+              <div className="flex items-center gap-2">
+                <div className="rounded-xl bg-white/5 p-2 text-zinc-200">
+                  <Wrench className="h-5 w-5" />
+                </div>
+                <div className="text-sm font-semibold text-zinc-100">Quick Fix</div>
               </div>
-              <div className="text-sm font-semibold text-zinc-100">Quick Fix</div>
+              {wizard ? (
+                <span className="text-xs text-zinc-400">
+                  step {wizard.history.filter((h) => h.outcome !== "inconclusive").length + (wizard.status === "active" ? 1 : 0)}
+                </span>
+              ) : null}
             </div>
 
-            <ol className="space-y-2 text-sm text-zinc-300">
-              <li className="flex gap-3">
-                <span className="mt-0.5 inline-flex h-5 w-5 items-center justify-center rounded-lg bg-white/5 text-xs font-bold text-zinc-200 ring-1 ring-white/10">
-                  1
-                </span>
-                <span>Toggle Airplane Mode (10 seconds), then re-scan.</span>
-              </li>
-              <li className="flex gap-3">
-                <span className="mt-0.5 inline-flex h-5 w-5 items-center justify-center rounded-lg bg-white/5 text-xs font-bold text-zinc-200 ring-1 ring-white/10">
-                  2
-                </span>
-                <span>Disable VPN / Private DNS / Data Saver, then re-scan. (If SIMBA: set APN to <b>tpg</b>.)</span>
-              </li>
-              <li className="flex gap-3">
-                <span className="mt-0.5 inline-flex h-5 w-5 items-center justify-center rounded-lg bg-white/5 text-xs font-bold text-zinc-200 ring-1 ring-white/10">
-                  3
-                </span>
-                <span>Reset Network Settings (last resort).</span>
-              </li>
-            </ol>
+            {wizard ? (
+              <div className="space-y-3">
+                <div className="text-xs text-zinc-400">
+                  Fixing: <span className="text-zinc-200">{wizard.target.title}</span>
+                </div>
+
+                {wizard.status === "resolved" ? (
+                  <div className="rounded-2xl border border-emerald-500/30 bg-emerald-500/10 p-3 text-sm text-emerald-200 ring-1 ring-emerald-500/20">
+                    Fixed — “{wizard.target.title}” no longer shows up after “{wizard.history[wizard.history.length - 1]?.title}”.
+                  </div>
+                ) : wizardStep ? (
+                  <div
+                    className={`rounded-2xl p-3 ring-1 ${
+                      wizardStep.escalate ? "border border-amber-500/30 bg-amber-500/10 ring-amber-500/20" : "bg-white/5 ring-white/10"
+                    }`}
+                  >
+                    <div className={`text-sm font-semibold ${wizardStep.escalate ? "text-amber-200" : "text-zinc-100"}`}>{wizardStep.title}</div>
+                    <div className="mt-1 text-sm leading-relaxed text-zinc-300">{wizardStep.instruction}</div>
+                    {wizard.status === "active" ? (
+                      <div className="mt-3 flex gap-2">
+                        <button
+                          onClick={runWizardRecheck}
+                          disabled={stage === "scanning"}
+                          className="flex-1 rounded-2xl bg-zinc-100 text-zinc-950 ring-1 ring-white/20 active:scale-[0.99] disabled:opacity-60"
+                        >
+                          <div className="flex items-center justify-center gap-2 px-3 py-2.5">
+                            {stage === "scanning" ? <Loader2 className="h-4 w-4 animate-spin" /> : <Layers className="h-4 w-4" />}
+                            <div className="text-sm font-extrabold tracking-tight">{stage === "scanning" ? "Re-checking…" : "Done — Re-check"}</div>
+                          </div>
+                        </button>
+                        <button
+                          onClick={() => setWizard((w) => skipWizardStep(w))}
+                          disabled={stage === "scanning"}
+                          className="rounded-2xl bg-white/5 px-4 text-sm font-semibold text-zinc-300 ring-1 ring-white/10 disabled:opacity-60"
+                        >
+                          Skip
+                        </button>
+                      </div>
+                    ) : null}
+                  </div>
+                ) : null}
+
+                {wizard.history.length ? (
+                  <ol className="space-y-1 text-xs text-zinc-400">
+                    {wizard.history.map((h, i) => (
+                      <li key={`${h.stepId}-${i}`} className="flex justify-between gap-3">
+                        <span>
+                          {i + 1}. {h.title}
+                        </span>
+                        <span className={h.outcome === "resolved" ? "text-emerald-300" : h.outcome === "inconclusive" ? "text-amber-200" : "text-zinc-500"}>
+                          {h.outcome === "resolved"
+                            ? "Fixed"
+                            : h.outcome === "skipped"
+                              ? "Skipped"
+                              : h.outcome === "inconclusive"
+                                ? "Inconclusive — re-check again"
+                                : "Didn’t help"}
+                          {h.deltaMs != null ? ` · ${formatDeltaMs(h.deltaMs)}` : ""}
+                        </span>
+                      </li>
+                    ))}
+                  </ol>
+                ) : null}
+
+                <button onClick={() => setWizard(null)} disabled={stage === "scanning"} className="text-xs font-semibold text-zinc-400 underline disabled:opacity-60">
+                  {wizard.status === "active" ? "Stop guided fix" : "Close"}
+                </button>
+              </div>
+            ) : wizardPlan ? (
+              <div className="space-y-3">
+                <div className="text-sm text-zinc-300">
+                  Fix “{wizardPlan.target.title}” one step at a time. After each step the relevant checks run again, and the next step depends on the
+                  result.
+                </div>
+                <button
+                  onClick={startWizardFlow}
+                  disabled={stage === "scanning"}
+                  className="w-full rounded-2xl bg-zinc-100 text-zinc-950 ring-1 ring-white/20 active:scale-[0.99] disabled:opacity-60"
+                >
+                  <div className="flex items-center justify-center gap-3 px-4 py-3">
+                    <Wrench className="h-5 w-5" />
+                    <div className="text-sm font-extrabold tracking-tight">Start Guided Fix</div>
+                  </div>
+                </button>
+              </div>
+            ) : (
+              <ol className="space-y-2 text-sm text-zinc-300">
+                <li className="flex gap-3">
+                  <span className="mt-0.5 inline-flex h-5 w-5 items-center justify-center rounded-lg bg-white/5 text-xs font-bold text-zinc-200 ring-1 ring-white/10">
+                    1
+                  </span>
+                  <span>Toggle Airplane Mode (10 seconds), then re-scan.</span>
+                </li>
+                <li className="flex gap-3">
+                  <span className="mt-0.5 inline-flex h-5 w-5 items-center justify-center rounded-lg bg-white/5 text-xs font-bold text-zinc-200 ring-1 ring-white/10">
+                    2
+                  </span>
+                  <span>Disable VPN / Private DNS / Data Saver, then re-scan. (If SIMBA: set APN to <b>tpg</b>.)</span>
+                </li>
+                <li className="flex gap-3">
+                  <span className="mt-0.5 inline-flex h-5 w-5 items-center justify-center rounded-lg bg-white/5 text-xs font-bold text-zinc-200 ring-1 ring-white/10">
+                    3
+                  </span>
+                  <span>Reset Network Settings (last resort).</span>
+                </li>
+              </ol>
+            )}
           </div>
 
           {/* Deploy notes */}
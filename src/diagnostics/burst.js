@@ -0,0 +1,60 @@
+import { timedFetch } from "./fetch.js";
+import { median } from "./stats.js";
+
+// Failure rate (percent) at or above which the link is treated as lossy
+export const LOSS_THRESHOLD_PCT = 10;
+
+export const DEFAULT_BURST = {
+  count: 20,
+  spacingMs: 100,
+  timeoutMs: 1500,
+};
+
+/**
+ * Fire a train of small timed requests and report the failure rate.
+ *
+ * Browsers can't send raw packets, so a failed or timed-out request stands in
+ * for a lost packet. Requests are launched on a fixed spacing without waiting
+ * for earlier ones, like a ping train.
+ *
+ * @param {{ url: string, count?: number, spacingMs?: number, timeoutMs?: number, thresholdPct?: number, signal?: AbortSignal }} options
+ *   A stopped burst reports only the requests that weren't cancelled.
+ */
+export async function runBurst({
+  url,
+  count = DEFAULT_BURST.count,
+  spacingMs = DEFAULT_BURST.spacingMs,
+  timeoutMs = DEFAULT_BURST.timeoutMs,
+  thresholdPct = LOSS_THRESHOLD_PCT,
+  signal,
+}) {
+  const pending = [];
+  for (let i = 0; i < count && !signal?.aborted; i++) {
+    pending.push(timedFetch(url, timeoutMs, {}, { timing: false, signal }));
+    if (i < count - 1) await new Promise((r) => setTimeout(r, spacingMs));
+  }
+  // Cancelled requests say nothing about the link
+  const runs = (await Promise.all(pending)).filter((r) => !r.aborted);
+  const sent = runs.length;
+
+  const failed = runs.filter((r) => !r.ok).length;
+  const timedOut = runs.filter((r) => !r.ok && r.timedOut).length;
+  const lossPct = sent ? Math.round((failed / sent) * 100) : 0;
+  const lossy = lossPct >= thresholdPct;
+
+  return {
+    url,
+    sent,
+    failed,
+    timedOut,
+    lossPct,
+    thresholdPct,
+    lossy,
+    medianMs: median(runs.filter((r) => r.ok).map((r) => r.ms)),
+    note: lossy
+      ? `${failed} of ${sent} requests failed — the link is dropping traffic.`
+      : failed
+        ? `${failed} of ${sent} requests failed — within normal range.`
+        : "All burst requests completed.",
+  };
+}
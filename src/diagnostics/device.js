@@ -0,0 +1,127 @@
+/**
+ * Device-side interference during a scan.
+ *
+ * Every probe is timed on the page's main thread. A busy CPU, an OS power
+ * saver or a backgrounded tab (timers throttled to ≥1 s) inflates latency
+ * exactly like a bad network would, so the scan records those conditions and
+ * the diagnosis can say "your phone, not your network".
+ */
+
+export const DEVICE_LOAD_THRESHOLDS = {
+  // Total main-thread blocking during the scan
+  longTaskMs: 1500,
+  // Battery level (0–1) below which phones start throttling, when not charging
+  lowBattery: 0.15,
+  // Time the tab spent hidden while probes were running
+  hiddenMs: 1000,
+};
+
+// Confidence multipliers for findings measured under each condition
+export const DEVICE_LOAD_PENALTIES = {
+  busy: 0.6,
+  background: 0.5,
+  lowBattery: 0.85,
+};
+
+/**
+ * Battery status where the Battery Status API exists (Chromium); never throws.
+ */
+export async function readBattery() {
+  try {
+    if (typeof navigator === "undefined" || typeof navigator.getBattery !== "function") {
+      return { supported: false, level: null, charging: null };
+    }
+    const b = await navigator.getBattery();
+    return { supported: true, level: typeof b.level === "number" ? b.level : null, charging: typeof b.charging === "boolean" ? b.charging : null };
+  } catch {
+    return { supported: false, level: null, charging: null };
+  }
+}
+
+/**
+ * Roll raw device signals into the `device` block of a ScanResult.
+ * `flags` fields are null unless that condition crossed its threshold.
+ */
+export function assessDeviceLoad({ longTaskSupported, longTaskMs, hiddenMs, battery }, thresholds = DEVICE_LOAD_THRESHOLDS) {
+  const busy = longTaskMs >= thresholds.longTaskMs;
+  const background = hiddenMs >= thresholds.hiddenMs;
+  const lowBattery = battery?.level != null && battery.level < thresholds.lowBattery && battery.charging !== true;
+
+  const causes = [busy && "busy", background && "background", lowBattery && "lowBattery"].filter(Boolean);
+  const confidenceFactor = causes.reduce((f, c) => f * DEVICE_LOAD_PENALTIES[c], 1);
+
+  const parts = [];
+  if (busy) parts.push(`the device was busy (main thread blocked ${longTaskMs} ms)`);
+  if (background) parts.push(`the tab was in the background for ${Math.round(hiddenMs / 1000)} s`);
+  if (lowBattery) parts.push(`the battery was at ${Math.round(battery.level * 100)}%`);
+
+  return {
+    longTaskSupported,
+    longTaskMs,
+    hiddenMs,
+    battery,
+    distorted: causes.length > 0,
+    causes,
+    confidenceFactor: Math.round(confidenceFactor * 100) / 100,
+    flags: {
+      busyMs: busy ? longTaskMs : null,
+      backgroundMs: background ? hiddenMs : null,
+      batteryPct: lowBattery ? Math.round(battery.level * 100) : null,
+    },
+    note: parts.length
+      ? `Measurements may be distorted: ${parts.join(", ")}.`
+      : longTaskSupported
+        ? "The device stayed responsive during the scan."
+        : "Device load can't be measured in this browser.",
+  };
+}
+
+/**
+ * Watch main-thread long tasks, tab visibility and battery while a scan runs.
+ * stop() disconnects everything and resolves to assessDeviceLoad()'s shape.
+ */
+export function createDeviceMonitor() {
+  let longTaskMs = 0;
+  let hiddenMs = 0;
+  let hiddenSince = null;
+  let observer = null;
+  let longTaskSupported = false;
+
+  try {
+    if (typeof PerformanceObserver !== "undefined" && PerformanceObserver.supportedEntryTypes?.includes("longtask")) {
+      observer = new PerformanceObserver((list) => {
+        for (const e of list.getEntries()) longTaskMs += Math.round(e.duration || 0);
+      });
+      observer.observe({ entryTypes: ["longtask"] });
+      longTaskSupported = true;
+    }
+  } catch {
+    // ignore
+  }
+
+  const hasDocument = typeof document !== "undefined";
+  const onVisibility = () => {
+    if (document.visibilityState === "hidden") {
+      hiddenSince ??= performance.now();
+    } else if (hiddenSince != null) {
+      hiddenMs += performance.now() - hiddenSince;
+      hiddenSince = null;
+    }
+  };
+  if (hasDocument) {
+    onVisibility();
+    document.addEventListener("visibilitychange", onVisibility);
+  }
+
+  // Read once at the start: that's the state the probes ran under
+  const battery = readBattery();
+
+  return {
+    async stop() {
+      observer?.disconnect();
+      if (hasDocument) document.removeEventListener("visibilitychange", onVisibility);
+      if (hiddenSince != null) hiddenMs += performance.now() - hiddenSince;
+      return assessDeviceLoad({ longTaskSupported, longTaskMs, hiddenMs: Math.round(hiddenMs), battery: await battery });
+    },
+  };
+}
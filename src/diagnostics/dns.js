@@ -0,0 +1,270 @@
+import { createCspMonitor } from "./errors.js";
+import { readableFetch, timedFetch } from "./fetch.js";
+import { ENDPOINTS } from "./probes.js";
+
+/**
+ * DNS verification over DoH JSON (application/dns-json).
+ *
+ * Cloudflare's JSON resolver is CORS-readable, so unlike the opaque timing
+ * probes we can read the answer section and check it against known records.
+ */
+
+// RCODEs we surface (RFC 1035 / 6895)
+export const DNS_STATUS = {
+  0: "NOERROR",
+  2: "SERVFAIL",
+  3: "NXDOMAIN",
+  5: "REFUSED",
+};
+
+// Domains whose A records are anycast and have stayed fixed for years
+export const DNS_TEST_DOMAINS = [
+  { name: "one.one.one.one", expect: ["1.1.1.1", "1.0.0.1"] },
+  { name: "dns.google", expect: ["8.8.8.8", "8.8.4.4"] },
+  { name: "dns.quad9.net", expect: ["9.9.9.9", "149.112.112.112"] },
+];
+
+// A DoH JSON answer is a few hundred bytes; the cap only stops a runaway body
+const DOH_MAX_BODY_CHARS = 65536;
+
+export const DEFAULT_DNS_VERIFICATION = {
+  resolver: ENDPOINTS.dohCloudflare,
+  domains: DNS_TEST_DOMAINS,
+  timeoutMs: 2500,
+};
+
+/**
+ * Resolve `name` via DoH JSON. Never throws: transport failures come back as
+ * `{ ok: false, error }` so callers can tell "resolver unreachable" from "bad answer".
+ * `signal` cancels the lookup (reported as `aborted`, not as a timeout).
+ */
+export async function resolveDoh(
+  name,
+  { type = "A", resolver = DEFAULT_DNS_VERIFICATION.resolver, timeoutMs = DEFAULT_DNS_VERIFICATION.timeoutMs, signal } = {},
+) {
+  const url = `${resolver}?name=${encodeURIComponent(name)}&type=${encodeURIComponent(type)}`;
+  const r = await readableFetch(url, timeoutMs, { headers: { Accept: "application/dns-json" }, maxBodyChars: DOH_MAX_BODY_CHARS, signal });
+  const failed = (error) => ({
+    ok: false,
+    name,
+    type,
+    ms: r.ms,
+    status: null,
+    statusText: null,
+    answers: [],
+    error,
+    timedOut: !!r.timedOut,
+    timeoutMs,
+    aborted: !!r.aborted,
+  });
+  if (!r.ok) return failed(r.error);
+  if (r.status < 200 || r.status > 299) return failed("HttpError");
+
+  let body;
+  try {
+    body = JSON.parse(r.body);
+  } catch (e) {
+    return failed(e?.name || "SyntaxError");
+  }
+  const status = typeof body?.Status === "number" ? body.Status : null;
+
+  return {
+    ok: true,
+    name,
+    type,
+    ms: r.ms,
+    status,
+    statusText: DNS_STATUS[status] || (status == null ? "UNKNOWN" : `RCODE ${status}`),
+    // Keep address records only; CNAME hops are followed by the resolver already
+    answers: (body?.Answer || []).filter((a) => a.type === 1 || a.type === 28).map((a) => a.data),
+  };
+}
+
+/**
+ * Classify one DoH lookup against what we expect:
+ * ok | nxdomain | servfail | hijacked | unreachable
+ */
+export function judgeAnswer(lookup, expect = []) {
+  if (!lookup.ok) return "unreachable";
+  if (lookup.status === 3) return "nxdomain";
+  if (lookup.status !== 0) return "servfail";
+  if (!lookup.answers.length) return "servfail";
+  if (expect.length && !lookup.answers.some((a) => expect.includes(a))) return "hijacked";
+  return "ok";
+}
+
+/**
+ * Resolve every test domain and roll the per-domain outcomes into one verdict:
+ * "ok" | "hijacked" | "failing" | null (resolver unreachable — no evidence either way).
+ */
+export async function runDnsVerification({
+  resolver = DEFAULT_DNS_VERIFICATION.resolver,
+  domains = DEFAULT_DNS_VERIFICATION.domains,
+  timeoutMs = DEFAULT_DNS_VERIFICATION.timeoutMs,
+  signal,
+} = {}) {
+  const lookups = await Promise.all(domains.map((d) => resolveDoh(d.name, { resolver, timeoutMs, signal })));
+  const results = lookups.map((l, i) => ({ ...l, expect: domains[i].expect, outcome: judgeAnswer(l, domains[i].expect) }));
+
+  const count = (o) => results.filter((r) => r.outcome === o).length;
+  const reachable = results.length - count("unreachable");
+  const hijacked = count("hijacked");
+  const failing = count("nxdomain") + count("servfail");
+
+  let verdict = null;
+  let note = "DoH resolver unreachable — DNS verdict falls back to probe timing.";
+  if (reachable) {
+    if (hijacked) {
+      verdict = "hijacked";
+      note = `${hijacked} of ${reachable} test domains resolved to unexpected addresses.`;
+    } else if (failing) {
+      verdict = "failing";
+      note = `${failing} of ${reachable} test domains returned ${results.find((r) => r.outcome === "nxdomain" || r.outcome === "servfail").statusText}.`;
+    } else {
+      verdict = "ok";
+      note = `All ${reachable} test domains resolved to the expected addresses.`;
+    }
+  }
+
+  return { resolver, verdict, reachable, hijacked, failing, results, note };
+}
+
+export const DEFAULT_NXDOMAIN_CHECK = {
+  count: 2,
+  // The system-resolver path fetches made-up hosts, which a strict connect-src
+  // CSP blocks (public/_headers would need `https:`), so it's opt-in; the app
+  // only offers it in dev or when built with VITE_SYSTEM_DNS_CHECK=true
+  viaFetch: false,
+  timeoutMs: 2500,
+};
+
+// A repeat request to a rewritten name has to connect (TCP, then TLS) to the
+// address it was given: past this many round trips it wasn't an NXDOMAIN
+export const NXDOMAIN_REWRITE_RTTS = 1.5;
+// Below this (ms) a repeat failure is a cache hit, however short the RTT
+export const NXDOMAIN_REWRITE_FLOOR_MS = 20;
+
+// 20 random base-36 chars under .com — vanishingly unlikely to be registered
+export function randomNonexistentName() {
+  const bytes = new Uint8Array(20);
+  crypto.getRandomValues(bytes);
+  const label = Array.from(bytes, (b) => (b % 36).toString(36)).join("");
+  return `nm-${label}.com`;
+}
+
+/**
+ * Resolve `name` through the system resolver, judged on timing. The page can't
+ * read what the resolver said, and a rewritten answer fails TLS just like a
+ * missing host fails DNS, so both requests fail — the repeat tells them apart:
+ * a cached NXDOMAIN fails at once, a rewritten name still opens a connection.
+ */
+async function probeSystemResolver(name, { timeoutMs, thresholdMs, signal }) {
+  const url = `https://${name}/`;
+  const first = await timedFetch(url, timeoutMs, {}, { timing: false, signal });
+  // Something actually served a page for a name that doesn't exist
+  if (first.ok) return { name, ms: first.ms, repeatMs: null, outcome: "redirected" };
+  if (first.timedOut || first.aborted) return { name, ms: first.ms, repeatMs: null, outcome: "unknown" };
+
+  const repeat = await timedFetch(url, timeoutMs, {}, { timing: false, signal });
+  const outcome = repeat.ok
+    ? "redirected"
+    : repeat.timedOut || repeat.aborted || thresholdMs == null
+      ? "unknown"
+      : repeat.ms >= thresholdMs
+        ? "redirected"
+        : "nxdomain";
+  return { name, ms: first.ms, repeatMs: repeat.ms, outcome };
+}
+
+/**
+ * Look up names that cannot exist. A correct resolver says NXDOMAIN; a resolver
+ * that "helpfully" rewrites NXDOMAIN to an ad/search page returns an address.
+ * `redirected` is null unless something was rewritten or the system resolver
+ * was actually tested — a clean DoH-only run is no verdict on the user's resolver.
+ *
+ * - DoH path: reads the RCODE directly, but only tests the DoH resolver — carrier
+ *   rewriting happens on the system resolver, which this path bypasses.
+ * - Fetch path (`viaFetch`): the system resolver decides, judged by timing
+ *   against `rttMs` (one round trip on this link, e.g. the scan's TCP connect
+ *   phase); without it the fetch path is inconclusive. Needs connect-src to
+ *   allow arbitrary https: hosts — requests the CSP blocks come back "blocked".
+ * @param {{ count?: number, resolver?: string, viaFetch?: boolean, rttMs?: number|null, timeoutMs?: number, signal?: AbortSignal }} [options]
+ */
+export async function runNxdomainCheck({
+  count = DEFAULT_NXDOMAIN_CHECK.count,
+  resolver = DEFAULT_DNS_VERIFICATION.resolver,
+  viaFetch = DEFAULT_NXDOMAIN_CHECK.viaFetch,
+  rttMs = null,
+  timeoutMs = DEFAULT_NXDOMAIN_CHECK.timeoutMs,
+  signal,
+} = {}) {
+  const names = Array.from({ length: count }, randomNonexistentName);
+  const thresholdMs = rttMs > 0 ? Math.max(NXDOMAIN_REWRITE_FLOOR_MS, Math.round(rttMs * NXDOMAIN_REWRITE_RTTS)) : null;
+
+  const csp = viaFetch ? createCspMonitor() : null;
+  const [dohLookups, fetchRuns] = await Promise.all([
+    Promise.all(names.map((n) => resolveDoh(n, { resolver, timeoutMs, signal }))),
+    // Sequential: parallel lookups would queue behind each other and blur the timing
+    viaFetch
+      ? (async () => {
+          const out = [];
+          for (const n of names) out.push(await probeSystemResolver(n, { timeoutMs, thresholdMs, signal }));
+          return out;
+        })()
+      : null,
+  ]);
+  if (csp) {
+    // Violation reports are dispatched after the fetch has already failed
+    await new Promise((r) => setTimeout(r, 50));
+    csp.stop();
+  }
+
+  const doh = dohLookups.map((l) => ({
+    ...l,
+    outcome: !l.ok ? "unreachable" : l.status === 3 ? "nxdomain" : l.answers.length ? "redirected" : "servfail",
+  }));
+  const fetched = fetchRuns?.map((f) => (csp.blocked(`https://${f.name}/`) ? { ...f, outcome: "blocked" } : f)) || null;
+
+  const dohRedirected = doh.filter((d) => d.outcome === "redirected");
+  const fetchRedirected = fetched?.filter((f) => f.outcome === "redirected") || [];
+  const dohTested = doh.filter((d) => d.outcome !== "unreachable").length;
+  const fetchTested = fetched?.filter((f) => f.outcome === "redirected" || f.outcome === "nxdomain").length || 0;
+  const redirectedCount = dohRedirected.length + fetchRedirected.length;
+  const testedCount = dohTested + fetchTested;
+  const redirected = redirectedCount > 0;
+  const tested = testedCount > 0;
+
+  const via = [dohRedirected.length && "DoH", fetchRedirected.length && "the system resolver"].filter(Boolean).join(" and ");
+  const fetchNote = !fetched
+    ? ""
+    : fetched.some((f) => f.outcome === "blocked")
+      ? " The system-resolver check was blocked by this app's Content-Security-Policy."
+      : !fetchTested
+        ? " The system-resolver check was inconclusive."
+        : "";
+
+  return {
+    names,
+    doh,
+    fetch: fetched,
+    thresholdMs: fetched ? thresholdMs : null,
+    // A clean DoH answer says nothing about the network's own resolver, so on its
+    // own it's no verdict; a rewritten one is tampering either way
+    redirected: redirected ? true : fetchTested ? false : null,
+    // Which resolvers the verdict covers: "system" once the fetch path got an answer
+    scope: fetchTested ? "system" : tested ? "doh" : null,
+    redirectedCount,
+    testedCount,
+    // An RCODE read over DoH outranks the system resolver's timing
+    evidence: dohRedirected.length ? "doh" : fetchRedirected.length ? "timing" : null,
+    answers: [...new Set(dohRedirected.flatMap((d) => d.answers))],
+    note:
+      (!tested
+        ? "NXDOMAIN check inconclusive — resolver unreachable."
+        : redirected
+          ? `Names that don't exist resolved anyway via ${via}${dohRedirected.length ? ` (to ${dohRedirected[0].answers[0]})` : ""} — NXDOMAIN answers are being rewritten.`
+          : fetchTested
+            ? `Nonexistent names correctly returned NXDOMAIN from the system resolver${dohTested ? " and over DoH" : ""}.`
+            : "The DoH resolver returned NXDOMAIN correctly; your network's own resolver wasn't tested, so carrier rewriting can't be ruled out.") + fetchNote,
+  };
+}
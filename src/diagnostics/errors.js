@@ -0,0 +1,97 @@
+import { absoluteUrl } from "./timing.js";
+
+/**
+ * Failure taxonomy for probes.
+ *
+ * fetch() only ever rejects with TypeError or AbortError, which tells a user
+ * nothing. Combining how long the request took, the online state, CSP
+ * violation reports and how the other probes fared is enough to say *why* a
+ * request failed in words they can act on.
+ */
+
+export const FAILURE_KINDS = {
+  aborted: {
+    label: "Stopped",
+    explanation: "The scan was stopped before this request finished.",
+  },
+  offline: {
+    label: "Offline",
+    explanation: "The device reported no network connection while this request was made.",
+  },
+  csp: {
+    label: "Blocked by app policy",
+    explanation:
+      "This app's Content-Security-Policy (connect-src in public/_headers) doesn't allow this endpoint, so the browser stopped the request before it left the device. It says nothing about your network.",
+  },
+  timeout: {
+    label: "Timed out",
+    explanation: "No response arrived before the deadline — packets are being lost, the path is blackholed, or the data session has stalled.",
+  },
+  refused: {
+    label: "Blocked or refused",
+    explanation: "The request failed almost immediately without a response — the connection was refused or reset, or a firewall, VPN, content filter or DNS block stopped it.",
+  },
+  unknown: {
+    label: "Failed",
+    explanation: "The request failed for a reason the browser doesn't expose.",
+  },
+};
+
+/**
+ * Record connect-src violations while a scan runs. CSP-blocked fetches reject
+ * with the same TypeError as a refused connection; the violation event is the
+ * only way to tell them apart.
+ */
+export function createCspMonitor() {
+  const blocked = new Set();
+  const onViolation = (e) => {
+    if (/^(connect-src|default-src)/.test(e.effectiveDirective || e.violatedDirective || "")) blocked.add(e.blockedURI);
+  };
+  if (typeof document !== "undefined") document.addEventListener("securitypolicyviolation", onViolation);
+
+  return {
+    // Reports may carry the full URL or just the origin
+    blocked(url) {
+      const abs = absoluteUrl(url);
+      for (const b of blocked) {
+        if (abs === b || abs.startsWith(b)) return true;
+      }
+      return false;
+    },
+    get size() {
+      return blocked.size;
+    },
+    stop() {
+      if (typeof document !== "undefined") document.removeEventListener("securitypolicyviolation", onViolation);
+    },
+  };
+}
+
+/**
+ * Label one failed fetch result (timedFetch/readableFetch/resolveDoh shape).
+ *
+ * @param {Object} r Failed result: `{ ok: false, ms, error, timedOut, timeoutMs, aborted }`.
+ * @param {{ url?: string, online?: boolean, csp?: { blocked: (url: string) => boolean }, othersOk?: boolean }} [context]
+ *   `othersOk`: whether any other probe in the scan got through.
+ * @returns {{ kind: string, label: string, explanation: string }|null}
+ */
+export function classifyFailure(r, { url, online = true, csp = null, othersOk = null } = {}) {
+  if (!r || r.ok) return null;
+
+  let kind;
+  if (r.aborted) kind = "aborted";
+  else if (!online) kind = "offline";
+  else if (url && csp?.blocked(url)) kind = "csp";
+  else if (r.timedOut) kind = "timeout";
+  else if (r.error === "TypeError" || r.error === "FetchError") kind = "refused";
+  else kind = "unknown";
+
+  const base = FAILURE_KINDS[kind];
+  let explanation = base.explanation;
+  if (kind === "timeout" && r.timeoutMs) explanation = explanation.replace("before the deadline", `within ${r.timeoutMs} ms`);
+  if (kind === "refused" || kind === "timeout") {
+    if (othersOk === true) explanation += " Other probes got through, so this endpoint specifically is being blocked or filtered.";
+    if (othersOk === false) explanation += " Every probe failed, so the problem is the connection itself (DNS, APN or data session), not one site.";
+  }
+  return { kind, label: base.label, explanation };
+}
@@ -0,0 +1,153 @@
+import { collectResourceTiming } from "./timing.js";
+
+/**
+ * Timed fetch primitive shared by every probe.
+ *
+ * Browsers can't do ICMP ping, so a probe is an HTTPS request whose wall-clock
+ * duration we measure. No React imports here — this module is reused outside the UI.
+ */
+
+export function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+/**
+ * Abort after `timeoutMs` or when the caller's `signal` aborts, whichever comes
+ * first. `timedOut()` and `aborted()` tell the two apart afterwards; call `done()`
+ * once the request has settled to clear the timer and the listener.
+ */
+export function linkedTimeout(timeoutMs, signal) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const id = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const cancel = () => controller.abort();
+  signal?.addEventListener("abort", cancel);
+  if (signal?.aborted) controller.abort();
+
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    // Stopped by the caller, not by our own deadline
+    aborted: () => !timedOut && !!signal?.aborted,
+    done() {
+      clearTimeout(id);
+      signal?.removeEventListener("abort", cancel);
+    },
+  };
+}
+
+// `timing: false` skips the Resource Timing lookup (bursts don't need phases);
+// `signal` lets the caller cancel (reported as `aborted`, not as a timeout)
+export async function timedFetch(url, timeoutMs = 2500, extraHeaders = {}, { timing = true, signal } = {}) {
+  const link = linkedTimeout(timeoutMs, signal);
+  const start = performance.now();
+
+  try {
+    // NOTE:
+    // - no-cors yields opaque responses but still measures timing
+    // - this is intentional: avoids reading content; safer for privacy
+    const res = await fetch(url, {
+      method: "GET",
+      mode: "no-cors",
+      cache: "no-store",
+      signal: link.signal,
+      credentials: "omit",
+      redirect: "follow",
+      referrerPolicy: "no-referrer",
+      headers: extraHeaders,
+    });
+
+    const end = performance.now();
+    return {
+      ok: true, // "ok" means fetch completed; in no-cors it doesn't mean status 200
+      status: typeof res?.status === "number" ? res.status : 0,
+      type: res?.type || "opaque",
+      opaque: res?.type === "opaque",
+      ms: Math.round(end - start),
+      timing: timing ? await collectResourceTiming(url, start) : null,
+    };
+  } catch (e) {
+    const end = performance.now();
+    return {
+      ok: false,
+      status: 0,
+      type: "error",
+      opaque: false,
+      ms: Math.round(end - start),
+      error: e?.name || "FetchError",
+      // An abort we fired ourselves; anything else failed before the deadline
+      timedOut: link.timedOut(),
+      timeoutMs,
+      aborted: link.aborted(),
+    };
+  } finally {
+    link.done();
+  }
+}
+
+/**
+ * Like timedFetch, but CORS/same-origin so the response can be inspected.
+ * Only use against endpoints that are meant to be read (own origin, CORS-enabled).
+ * The body is truncated to `maxBodyChars` — we compare it, we don't keep it.
+ * `binary: true` reads the body as bytes and returns only their count (`bytes`, body null).
+ */
+export async function readableFetch(url, timeoutMs = 2500, { headers = {}, redirect = "follow", maxBodyChars = 512, binary = false, signal } = {}) {
+  const link = linkedTimeout(timeoutMs, signal);
+  const start = performance.now();
+
+  try {
+    const res = await fetch(url, {
+      method: "GET",
+      cache: "no-store",
+      signal: link.signal,
+      credentials: "omit",
+      redirect,
+      referrerPolicy: "no-referrer",
+      headers,
+    });
+    // opaqueredirect (redirect: "manual") has no readable body
+    const opaque = res.type === "opaqueredirect";
+    const bytes = binary ? (opaque ? 0 : (await res.arrayBuffer()).byteLength) : null;
+    const body = binary ? null : opaque ? "" : (await res.text()).slice(0, maxBodyChars);
+    const end = performance.now();
+
+    return {
+      ok: true,
+      status: res.status,
+      type: res.type,
+      opaque: false,
+      ms: Math.round(end - start),
+      redirected: res.redirected || res.type === "opaqueredirect",
+      finalUrl: res.url || null,
+      contentType: res.headers.get("content-type"),
+      headers: Object.fromEntries(res.headers),
+      body,
+      bytes,
+      timing: await collectResourceTiming(url, start),
+    };
+  } catch (e) {
+    const end = performance.now();
+    return {
+      ok: false,
+      status: 0,
+      type: "error",
+      opaque: false,
+      ms: Math.round(end - start),
+      redirected: false,
+      finalUrl: null,
+      contentType: null,
+      headers: {},
+      body: null,
+      error: e?.name || "FetchError",
+      // An abort we fired ourselves; anything else failed before the deadline
+      timedOut: link.timedOut(),
+      timeoutMs,
+      aborted: link.aborted(),
+    };
+  } finally {
+    link.done();
+  }
+}
@@ -0,0 +1,79 @@
+import { buildFacts, defaultRules, evaluateRules } from "./rules.js";
+
+/**
+ * Turns a ScanResult into user-facing verdicts.
+ *
+ * Verdicts carry a `kind` string instead of an icon component so this module
+ * stays free of React; the UI maps `kind` to an icon. The diagnosis itself
+ * lives in rules (ruleset.js, evaluated by rules.js); this module picks the
+ * headline and the suggestion from the findings.
+ */
+
+export function reliabilityScore({ externalChecksEnabled, networkHintSupported, longTaskSupported }) {
+  if (!externalChecksEnabled) {
+    return {
+      level: "low",
+      label: "Low",
+      note: "External diagnostics are OFF — results are guidance-only.",
+    };
+  }
+
+  const extras = (networkHintSupported ? 1 : 0) + (longTaskSupported ? 1 : 0);
+
+  if (extras >= 2) {
+    return {
+      level: "high",
+      label: "High",
+      note: "External probes + device signals available (best accuracy this browser can offer).",
+    };
+  }
+
+  if (extras === 1) {
+    return {
+      level: "medium",
+      label: "Medium",
+      note: "External probes available, but some device/network APIs are not supported.",
+    };
+  }
+
+  return {
+    level: "medium",
+    label: "Medium",
+    note: "External probes available. Device/network hints are limited on this browser.",
+  };
+}
+
+// Used when a custom rule set has no fallback rule
+const HEALTHY = {
+  kind: "healthy",
+  level: "green",
+  title: "Healthy",
+  detail: "Connectivity looks normal based on browser-safe diagnostics.",
+  label: "OK",
+  confidence: null,
+};
+
+/**
+ * Every finding the rules produce for a scan, most severe first (see rankFindings).
+ * Each carries its severity, evidence lines, suggested fixes and confidence.
+ * @param {{ online: boolean, externalChecksEnabled: boolean, result?: Object|null, abDeltaMs?: number|null, rules?: Object[]|string }} input
+ *   Custom `rules` are best loaded once with loadRules(); raw ones are re-validated on every call.
+ */
+export function diagnose({ online, externalChecksEnabled, result = null, abDeltaMs = null, rules = defaultRules }) {
+  return evaluateRules(buildFacts({ online, externalChecksEnabled, result, abDeltaMs }), rules);
+}
+
+// Headline verdict: the top finding that describes the connection (info findings don't)
+export function classifyHealth({ online, externalChecksEnabled, result = null, rules = defaultRules }) {
+  const top = diagnose({ online, externalChecksEnabled, result, rules }).find((f) => f.severity !== "info");
+  if (!top) return HEALTHY;
+  const { kind, level, title, detail, label, confidence } = top;
+  return { kind, level, title, detail, label, confidence };
+}
+
+// One-line advice: the first suggestion from the top-ranked finding that has one
+export function buildAutoSuggestion({ externalChecksEnabled, latestResult, abDeltaMs, online = true, rules = defaultRules }) {
+  if (!externalChecksEnabled || !latestResult) return null;
+  const findings = diagnose({ online, externalChecksEnabled, result: latestResult, abDeltaMs, rules });
+  return findings.find((f) => f.suggestions.length)?.suggestions[0] ?? null;
+}
@@ -0,0 +1,89 @@
+/**
+ * Network Medic diagnostics engine — pure JS, no React.
+ *
+ * Public surface for the UI and any other host (kiosk page, bookmarklet, tests).
+ */
+
+export { DEFAULT_BURST, LOSS_THRESHOLD_PCT, runBurst } from "./burst.js";
+export {
+  DEFAULT_DNS_VERIFICATION,
+  DEFAULT_NXDOMAIN_CHECK,
+  DNS_STATUS,
+  DNS_TEST_DOMAINS,
+  judgeAnswer,
+  randomNonexistentName,
+  resolveDoh,
+  runDnsVerification,
+  runNxdomainCheck,
+} from "./dns.js";
+export { DEVICE_LOAD_PENALTIES, DEVICE_LOAD_THRESHOLDS, assessDeviceLoad, createDeviceMonitor, readBattery } from "./device.js";
+export { FAILURE_KINDS, classifyFailure, createCspMonitor } from "./errors.js";
+export { clamp, readableFetch, timedFetch } from "./fetch.js";
+export { DEFAULT_INTERCEPTION_CHECK, PROXY_HEADERS, runInterceptionCheck, sha256Hex } from "./intercept.js";
+export { DEFAULT_IP_FAMILY_CHECK, IP_FAMILY_ENDPOINTS, V6_SLOW_MARGIN_MS, runIpFamilyCheck } from "./ipfamily.js";
+export { DEFAULT_MTU_LADDER, ladderUrl, runMtuLadder } from "./mtu.js";
+export { getNetworkHint, isOnline, supportsLongTask } from "./network.js";
+export {
+  DEFAULT_PROBES,
+  DEFAULT_TIMEOUT_MS,
+  ENDPOINTS,
+  PROBE_CATEGORIES,
+  PROBE_EVIDENCE,
+  SELF_CHECK_EXPECT,
+  createProbeRegistry,
+  defaultRegistry,
+} from "./probes.js";
+export { DEFAULT_QUIC_CHECK, PROTOCOL_LABELS, isH3, runQuicCheck } from "./quic.js";
+export { BUFFERBLOAT_GRADES, DEFAULT_RESPONSIVENESS, gradeBufferbloat, runResponsivenessTest, toRpm } from "./responsiveness.js";
+export { runScan, scanSteps } from "./scan.js";
+export { DEFAULT_STUN_CHECK, STUN_SERVERS, classifyNat, parseCandidate, runStunCheck } from "./stun.js";
+export { EFFECTIVE_TYPE_FACTORS, TIMEOUT_BOUNDS, createTimeoutPolicy, describeFailure } from "./timeouts.js";
+export { SLOW_DNS_MS, TIMING_PHASES, collectResourceTiming, phaseBreakdown, summarizePhases } from "./timing.js";
+export { DEFAULT_TRACE, EXPECTED_COLOS, parseTrace, readTrace } from "./trace.js";
+export { judgeExpectation, runVerifiedProbe } from "./verify.js";
+export { jitter, median, percentile, summarizeSamples } from "./stats.js";
+export {
+  ASYMMETRY_RATIO,
+  DEFAULT_DOWNLOAD,
+  DEFAULT_UPLOAD,
+  THROTTLE_BAND_MBPS,
+  assessAsymmetry,
+  detectPlateau,
+  runDownloadTest,
+  runUploadTest,
+  toMbps,
+  windowRates,
+} from "./throughput.js";
+export { DEFAULT_WEBSOCKET, defaultWebSocketUrl, runWebSocketProbe } from "./websocket.js";
+export {
+  CONFIDENCE_LEVELS,
+  CONFIDENCE_THRESHOLDS,
+  RULE_SEVERITIES,
+  SEVERITY_LEVELS,
+  buildFacts,
+  confidenceLevel,
+  defaultRules,
+  describeConfidence,
+  evaluateRules,
+  interpolate,
+  loadRules,
+  matches,
+  normalizeRule,
+  rankFindings,
+  readFact,
+  scoreConfidence,
+} from "./rules.js";
+export { DEFAULT_RULES } from "./ruleset.js";
+export { buildAutoSuggestion, classifyHealth, diagnose, reliabilityScore } from "./health.js";
+export { DEFAULT_PLAYBOOK } from "./playbook.js";
+export {
+  WIZARD_AREAS,
+  WIZARD_STATUSES,
+  advanceWizard,
+  currentStep,
+  defaultPlaybook,
+  loadPlaybook,
+  recheckOptions,
+  skipWizardStep,
+  startWizard,
+} from "./wizard.js";
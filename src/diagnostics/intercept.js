@@ -0,0 +1,114 @@
+import { readableFetch } from "./fetch.js";
+
+/**
+ * Proxy / TLS interception check.
+ *
+ * A middlebox with its own root CA can read and rewrite HTTPS without the page
+ * noticing, and opaque probes can't see it either. This fetches a file of
+ * known content from the app's own origin and looks for the marks such boxes
+ * leave: altered bytes, proxy headers, stripped security headers, and (with the
+ * Cloudflare trace) an edge that saw a different HTTP version than the browser
+ * negotiated — i.e. someone else terminated TLS in between.
+ */
+
+export const DEFAULT_INTERCEPTION_CHECK = {
+  // Must match INTEGRITY_PATH / INTEGRITY_BODY in standins/index.js
+  url: "/medic/integrity.html",
+  expect: { sha256: "2250ffda1701fa0737adaa218abb5d6570a4e54ea047c9e5670516e76e988097" },
+  // Sent on every response by public/_headers (and the dev stand-in)
+  securityHeaders: ["x-content-type-options", "referrer-policy", "x-frame-options"],
+  timeoutMs: 3000,
+};
+
+// Headers that proxies and filtering appliances add on the way through
+export const PROXY_HEADERS = ["via", "x-cache", "x-cache-lookup", "x-squid-error", "x-bluecoat-via", "proxy-connection", "x-proxy-id", "x-forwarded-for"];
+
+// Via/X-Cache values the app's own CDN may legitimately add
+const HOST_CDN = /cloudfront|fastly|varnish|vegur|akamai/i;
+
+export async function sha256Hex(text) {
+  if (typeof crypto === "undefined" || !crypto.subtle) return null;
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Edge reports "http/2", browsers report "h2"
+function normalizeHttp(v) {
+  if (!v) return null;
+  const s = String(v).toLowerCase();
+  if (s.startsWith("h3") || s === "http/3") return "h3";
+  if (s === "h2" || s === "http/2") return "h2";
+  return s.startsWith("http/1") ? "http/1.x" : s;
+}
+
+/**
+ * @param {{ url?: string, expect?: { body?: string, sha256?: string }, securityHeaders?: string[], timeoutMs?: number, trace?: Object|null, signal?: AbortSignal }} [options]
+ *   `trace` is a readTrace() result, used for the protocol comparison when present.
+ * @returns verdict "clean" | "suspect" | "inspected" | "unknown"
+ */
+export async function runInterceptionCheck({
+  url = DEFAULT_INTERCEPTION_CHECK.url,
+  expect = DEFAULT_INTERCEPTION_CHECK.expect,
+  securityHeaders = DEFAULT_INTERCEPTION_CHECK.securityHeaders,
+  timeoutMs = DEFAULT_INTERCEPTION_CHECK.timeoutMs,
+  trace = null,
+  signal,
+} = {}) {
+  const res = await readableFetch(`${url}?r=${Math.random().toString(36).slice(2)}`, timeoutMs, { maxBodyChars: 16384, signal });
+  if (!res.ok || res.status !== 200) {
+    return {
+      verdict: "unknown",
+      integrity: null,
+      proxyHeaders: [],
+      strippedHeaders: [],
+      protocolMismatch: null,
+      evidence: [],
+      note: `Couldn't fetch the reference file (${res.error || `HTTP ${res.status}`}).`,
+    };
+  }
+
+  let integrity = null;
+  if (expect.body != null) integrity = res.body === expect.body ? "intact" : "modified";
+  else if (expect.sha256) {
+    const hash = await sha256Hex(res.body);
+    integrity = hash == null ? null : hash === expect.sha256 ? "intact" : "modified";
+  }
+
+  const proxyHeaders = PROXY_HEADERS.filter((h) => h in res.headers && !HOST_CDN.test(res.headers[h])).map((name) => ({
+    name,
+    value: res.headers[name].slice(0, 80),
+  }));
+  const strippedHeaders = securityHeaders.filter((h) => !(h.toLowerCase() in res.headers));
+
+  const edgeHttp = normalizeHttp(trace?.http);
+  const browserHttp = normalizeHttp(trace?.browserHttp);
+  const protocolMismatch = edgeHttp && browserHttp ? edgeHttp !== browserHttp : null;
+
+  // Strong evidence names the box; stripped headers alone could be the host's config
+  const evidence = [];
+  if (integrity === "modified") evidence.push("The reference file arrived altered (content doesn't match its known hash).");
+  if (proxyHeaders.length) evidence.push(`Proxy headers present: ${proxyHeaders.map((h) => `${h.name}: ${h.value}`).join("; ")}.`);
+  if (protocolMismatch) evidence.push(`Your browser spoke ${browserHttp} but Cloudflare received ${edgeHttp} — something re-originated the connection.`);
+  if (trace?.gateway) evidence.push("Cloudflare Gateway is filtering this connection.");
+  const strong = evidence.length > 0;
+  if (strippedHeaders.length) evidence.push(`Security headers missing: ${strippedHeaders.join(", ")}.`);
+
+  const verdict = strong ? "inspected" : strippedHeaders.length ? "suspect" : "clean";
+
+  return {
+    verdict,
+    integrity,
+    proxyHeaders,
+    strippedHeaders,
+    protocolMismatch,
+    evidence,
+    note:
+      verdict === "inspected"
+        ? "Traffic appears to be proxied/inspected — a device on this network can likely read your HTTPS traffic."
+        : verdict === "suspect"
+          ? "Some security headers were stripped on the way, but there's no direct sign of a proxy."
+          : integrity === "intact"
+            ? "Reference file arrived byte-for-byte intact with no proxy marks."
+            : "No proxy marks found (content hash couldn't be checked in this browser).",
+  };
+}
@@ -0,0 +1,95 @@
+import { readableFetch } from "./fetch.js";
+import { median } from "./stats.js";
+
+/**
+ * IPv4 vs IPv6 path comparison.
+ *
+ * Single-family hostnames force the address family; the dual-stack host tells
+ * us which family the browser actually picks. All three echo the caller's IP
+ * (bare, or as a cdn-cgi/trace `ip=` line) with CORS enabled — we only keep
+ * the family, never the address.
+ */
+export const IP_FAMILY_ENDPOINTS = {
+  v4: "https://ipv4.icanhazip.com/",
+  v6: "https://ipv6.icanhazip.com/",
+  dual: "https://icanhazip.com/",
+};
+
+export const DEFAULT_IP_FAMILY_CHECK = {
+  endpoints: IP_FAMILY_ENDPOINTS,
+  samples: 2,
+  timeoutMs: 3000,
+};
+
+// v6 slower than v4 by more than this (ms) is worth calling out
+export const V6_SLOW_MARGIN_MS = 150;
+
+// Accepts a bare IP (icanhazip) or a cdn-cgi/trace body with an `ip=` line
+function familyOf(text) {
+  const traced = /^ip=(.+)$/m.exec(text || "");
+  const ip = (traced ? traced[1] : text || "").trim();
+  if (ip.includes(":")) return "v6";
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) return "v4";
+  return null;
+}
+
+async function probeFamily(url, family, samples, timeoutMs, signal) {
+  const runs = [];
+  for (let i = 0; i < samples && !signal?.aborted; i++) {
+    runs.push(await readableFetch(url, timeoutMs, { maxBodyChars: 64, signal }));
+  }
+  const ok = runs.filter((r) => r.ok && r.status === 200);
+  const failed = runs.filter((r) => !r.ok);
+
+  return {
+    family,
+    reachable: ok.length > 0,
+    confirmed: ok.some((r) => familyOf(r.body) === family),
+    medianMs: median(ok.map((r) => r.ms)),
+    // A route that doesn't exist fails at once; a blackholed one hangs until the timeout
+    failure: ok.length ? null : failed.some((r) => r.timedOut) ? "timeout" : "fast",
+  };
+}
+
+/**
+ * Probe each address family and judge the result:
+ * ok | v6Broken | v6Slow | v4Broken | v4Only | inconclusive
+ */
+export async function runIpFamilyCheck({
+  endpoints = DEFAULT_IP_FAMILY_CHECK.endpoints,
+  samples = DEFAULT_IP_FAMILY_CHECK.samples,
+  timeoutMs = DEFAULT_IP_FAMILY_CHECK.timeoutMs,
+  signal,
+} = {}) {
+  const [v4, v6, dual] = await Promise.all([
+    probeFamily(endpoints.v4, "v4", samples, timeoutMs, signal),
+    probeFamily(endpoints.v6, "v6", samples, timeoutMs, signal),
+    endpoints.dual ? readableFetch(endpoints.dual, timeoutMs, { maxBodyChars: 64, signal }) : null,
+  ]);
+  const preferred = dual?.ok ? familyOf(dual.body) : null;
+
+  let verdict = "inconclusive";
+  let note = "Neither address family answered — can't compare paths.";
+
+  if (v4.reachable && v6.reachable) {
+    if (v6.medianMs != null && v4.medianMs != null && v6.medianMs - v4.medianMs > V6_SLOW_MARGIN_MS) {
+      verdict = "v6Slow";
+      note = `IPv6 works but is ${v6.medianMs - v4.medianMs} ms slower than IPv4 — apps preferring IPv6 will feel sluggish.`;
+    } else {
+      verdict = "ok";
+      note = "IPv4 and IPv6 both work with similar latency.";
+    }
+  } else if (v4.reachable && v6.failure === "timeout") {
+    verdict = "v6Broken";
+    note =
+      "IPv6 is advertised but packets vanish. Browsers fall back to IPv4 after a short delay (Happy Eyeballs), but apps without that fallback hang — the classic “some sites work, others spin” symptom.";
+  } else if (v4.reachable) {
+    verdict = "v4Only";
+    note = "No IPv6 on this network (normal for many carriers). IPv4 works.";
+  } else if (v6.reachable) {
+    verdict = "v4Broken";
+    note = "Only IPv6 gets through. IPv4-only sites rely on the carrier's NAT64/464XLAT, which appears to be failing.";
+  }
+
+  return { v4, v6, preferred, verdict, note };
+}
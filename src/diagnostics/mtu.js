@@ -0,0 +1,117 @@
+import { readableFetch } from "./fetch.js";
+
+/**
+ * Path-MTU blackhole ladder.
+ *
+ * Tiny probes fit in one packet, so they pass even when a VPN or APN silently
+ * drops full-size packets (and the ICMP "fragmentation needed" never comes
+ * back). Climbing through response sizes (downlink) and request header sizes
+ * (uplink) on the app's own origin shows the size at which transfers stall.
+ */
+
+export const DEFAULT_MTU_LADDER = {
+  // Must match MTU_LADDER_PATH / MTU_LADDER_BYTES in standins/index.js; rungs are
+  // random bytes, so a host that compresses responses can't shrink them below full-size packets
+  path: "/medic/size/",
+  responseBytes: [512, 1200, 1500, 4096, 16384, 65536],
+  headerUrl: "/connectivity-check",
+  headerBytes: [256, 1024, 1400, 2048, 4096, 7168],
+  // First multi-segment rung of each ladder: once one of these gets through,
+  // full-size packets cross the path and a later stall isn't a blackhole
+  responseFullBytes: 4096,
+  headerFullBytes: 2048,
+  timeoutMs: 4000,
+};
+
+export function ladderUrl(path, bytes) {
+  return `${path}${bytes}.bin`;
+}
+
+// A stall is one timeout; retry once so a single lost packet doesn't end the climb
+async function climb(sizes, fullBytes, attempt, signal) {
+  const rungs = [];
+  for (const bytes of sizes) {
+    if (signal?.aborted) break;
+    let r = await attempt(bytes);
+    if (r.stalled && !signal?.aborted) r = { ...(await attempt(bytes)), retried: true };
+    rungs.push({ bytes, ...r });
+    if (r.stalled || !r.ok) break;
+  }
+  const firstOk = rungs.findIndex((r) => r.ok);
+  // Only meaningful if something smaller got through first
+  const stall = firstOk === 0 ? rungs.find((r) => r.stalled) : null;
+  const maxOkBytes = rungs.filter((r) => r.ok).pop()?.bytes ?? null;
+  // Full-size packets already made it: a bigger transfer stalling is a slow or lossy link
+  const fullSizeOk = maxOkBytes != null && maxOkBytes >= fullBytes;
+  return {
+    rungs,
+    stallBytes: stall && !fullSizeOk ? stall.bytes : null,
+    slowStallBytes: stall && fullSizeOk ? stall.bytes : null,
+    maxOkBytes,
+  };
+}
+
+function judge(r, bytes) {
+  return {
+    ok: r.ok && r.status === 200,
+    stalled: !r.ok && r.timedOut,
+    ms: r.ms,
+    error: r.ok ? (r.status === 200 ? null : `HTTP ${r.status}`) : r.error,
+    bytes,
+  };
+}
+
+/**
+ * Verdict: "blackhole" (stall before any multi-segment transfer passed),
+ * "slow" (stall only after full-size packets got through), "ok" or "inconclusive".
+ * @param {{ path?: string, responseBytes?: number[], headerUrl?: string, headerBytes?: number[], responseFullBytes?: number, headerFullBytes?: number, timeoutMs?: number, signal?: AbortSignal }} [options]
+ */
+export async function runMtuLadder({
+  path = DEFAULT_MTU_LADDER.path,
+  responseBytes = DEFAULT_MTU_LADDER.responseBytes,
+  headerUrl = DEFAULT_MTU_LADDER.headerUrl,
+  headerBytes = DEFAULT_MTU_LADDER.headerBytes,
+  responseFullBytes = DEFAULT_MTU_LADDER.responseFullBytes,
+  headerFullBytes = DEFAULT_MTU_LADDER.headerFullBytes,
+  timeoutMs = DEFAULT_MTU_LADDER.timeoutMs,
+  signal,
+} = {}) {
+  const down = await climb(responseBytes, responseFullBytes, async (bytes) => {
+    const r = await readableFetch(`${ladderUrl(path, bytes)}?r=${Math.random().toString(36).slice(2)}`, timeoutMs, { binary: true, signal });
+    const j = judge(r, bytes);
+    // A short body means the transfer was cut, not served
+    return j.ok && r.bytes < bytes ? { ...j, ok: false, error: "Truncated" } : j;
+  }, signal);
+
+  const up = await climb(headerBytes, headerFullBytes, async (bytes) => {
+    const r = await readableFetch(headerUrl, timeoutMs, { headers: { "X-Medic-Pad": "m".repeat(bytes) }, maxBodyChars: 64, signal });
+    return judge(r, bytes);
+  }, signal);
+
+  const stalled = down.stallBytes != null || up.stallBytes != null;
+  const slow = down.slowStallBytes != null || up.slowStallBytes != null;
+  const baseOk = down.rungs[0]?.ok || up.rungs[0]?.ok;
+  const verdict = stalled ? "blackhole" : slow ? "slow" : baseOk ? "ok" : "inconclusive";
+  const slowAt = down.slowStallBytes ?? up.slowStallBytes;
+
+  const where = [
+    down.stallBytes != null ? `responses of ${down.stallBytes} bytes (≤ ${down.maxOkBytes} OK)` : null,
+    up.stallBytes != null ? `requests with ${up.stallBytes}-byte headers (≤ ${up.maxOkBytes} OK)` : null,
+  ].filter(Boolean);
+
+  return {
+    verdict,
+    download: down,
+    upload: up,
+    downStallBytes: down.stallBytes,
+    upStallBytes: up.stallBytes,
+    note:
+      verdict === "blackhole"
+        ? `Small transfers work but ${where.join(" and ")} stall — large packets are being dropped (MTU blackhole).`
+        : verdict === "slow"
+          ? `Full-size packets get through, but a ${slowAt}-byte transfer stalled — the link is slow or lossy, not an MTU problem.`
+          : verdict === "ok"
+            ? `Transfers up to ${down.maxOkBytes ?? "—"} bytes down and ${up.maxOkBytes ?? "—"}-byte headers up completed.`
+            : "Even the smallest ladder step failed — the app's own server wasn't reachable.",
+  };
+}
@@ -0,0 +1,30 @@
+/**
+ * Device / browser signals that don't require any outbound request.
+ */
+
+// Outside a browser (Node, workers without navigator) there's nothing to read: assume online
+export function isOnline() {
+  return typeof navigator !== "undefined" && typeof navigator.onLine === "boolean" ? navigator.onLine : true;
+}
+
+export function getNetworkHint() {
+  const conn = typeof navigator === "undefined" ? null : navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+  if (!conn) {
+    return { supported: false, effectiveType: "unknown", downlink: null, rtt: null, saveData: null };
+  }
+  return {
+    supported: true,
+    effectiveType: conn.effectiveType || "unknown",
+    downlink: typeof conn.downlink === "number" ? conn.downlink : null,
+    rtt: typeof conn.rtt === "number" ? conn.rtt : null,
+    saveData: typeof conn.saveData === "boolean" ? conn.saveData : null,
+  };
+}
+
+export function supportsLongTask() {
+  try {
+    return typeof PerformanceObserver !== "undefined" && Boolean(PerformanceObserver.supportedEntryTypes?.includes("longtask"));
+  } catch {
+    return false;
+  }
+}
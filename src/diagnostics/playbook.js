@@ -0,0 +1,184 @@
+/**
+ * Default troubleshooting playbook — plain data, walked by wizard.js.
+ *
+ * Like ruleset.js this stays JSON-compatible so a carrier or support team can
+ * ship a tuned copy through loadPlaybook().
+ *
+ * `paths` pick where to start: the first ranked finding whose `kind` is listed
+ * wins. Each step asks for one action, re-runs the scan `areas` it lists plus
+ * every area the target finding's rule reads (see WIZARD_AREAS; latency,
+ * captive and DNS probes always run), then moves to `resolved` or
+ * `unresolved`. A step is resolved when the finding that started the wizard
+ * no longer fires, or when its own `resolvedWhen` condition holds.
+ * "done" ends the wizard as fixed; `escalate: true` steps end it as escalated.
+ *
+ * Text may interpolate {{target.title}}, {{carrier.name}}, {{carrier.apn}}
+ * and any scan fact, as in ruleset.js.
+ */
+export const DEFAULT_PLAYBOOK = {
+  paths: [
+    { kinds: ["offline"], start: "offline.airplane" },
+    { kinds: ["unreachable"], start: "unreachable.airplane" },
+    { kinds: ["captive"], start: "captive.login" },
+    { kinds: ["dnsHijack", "dns", "nxdomainRedirect", "dnsSlow"], start: "dns.airplane" },
+    { kinds: ["intercept"], start: "intercept.switch" },
+    { kinds: ["mtu"], start: "mtu.vpn" },
+    { kinds: ["ipFamily"], start: "ip.apnProtocol" },
+    { kinds: ["device"], start: "device.free" },
+    { kinds: ["lossy", "congestion", "bufferbloat", "throttled", "asymmetric"], start: "radio.airplane" },
+    { kinds: ["calls", "idleDrop", "quic"], start: "blocked.vpn" },
+  ],
+  steps: {
+    "offline.airplane": {
+      title: "Reconnect",
+      instruction: "Check that mobile data is on, then turn airplane mode on, wait 10 seconds and turn it off again.",
+      areas: [],
+      resolvedWhen: { fact: "online", eq: true },
+      resolved: "done",
+      unresolved: "escalate.carrier",
+    },
+    "unreachable.airplane": {
+      title: "Restart the data session",
+      instruction: "Turn off any VPN, then turn airplane mode on, wait 10 seconds and turn it off again.",
+      areas: [],
+      resolved: "done",
+      unresolved: "escalate.carrier",
+    },
+    "captive.login": {
+      title: "Sign in to the Wi-Fi",
+      instruction: "Open http://neverssl.com in a new tab to bring up the Wi-Fi login page, accept the terms or sign in, then come back.",
+      areas: [],
+      resolved: "done",
+      unresolved: "captive.wifiOff",
+    },
+    "captive.wifiOff": {
+      title: "Use mobile data instead",
+      instruction: "Turn Wi-Fi off so the phone falls back to mobile data.",
+      areas: [],
+      resolved: "done",
+      unresolved: "escalate.venue",
+    },
+    "dns.airplane": {
+      title: "Toggle airplane mode",
+      instruction: "Turn airplane mode on, wait 10 seconds, then turn it off. This starts a fresh data session with fresh DNS settings.",
+      areas: ["dns"],
+      resolved: "done",
+      unresolved: "dns.privateDns",
+    },
+    "dns.privateDns": {
+      title: "Change Private DNS",
+      instruction:
+        "Settings → Network → Private DNS: if a provider is set, switch it Off; if it's Off, set it to one.one.one.one. Turn off any VPN while you test.",
+      areas: ["dns"],
+      resolved: "done",
+      unresolved: "dns.apn",
+    },
+    "dns.apn": {
+      title: "Reset the APN",
+      instruction:
+        "Settings → Mobile network → Access Point Names → Reset to default, or enter {{carrier.name}}'s APN ({{carrier.apn}}). Then toggle airplane mode once more.",
+      areas: ["dns"],
+      resolved: "done",
+      unresolved: "escalate.carrier",
+    },
+    "intercept.switch": {
+      title: "Switch networks",
+      instruction: "Turn off Wi-Fi (or switch from Wi-Fi to mobile data, or the other way round) and disconnect any VPN you don't trust.",
+      areas: ["intercept"],
+      resolved: "done",
+      unresolved: "escalate.untrusted",
+    },
+    "mtu.vpn": {
+      title: "Turn off the VPN",
+      instruction: "Disconnect your VPN. If you need it, lower its MTU to 1280 in the VPN app's settings instead.",
+      areas: ["mtu"],
+      resolved: "done",
+      unresolved: "mtu.apn",
+    },
+    "mtu.apn": {
+      title: "Reset the APN",
+      instruction:
+        "Settings → Mobile network → Access Point Names → Reset to default, or enter {{carrier.name}}'s APN ({{carrier.apn}}). Then toggle airplane mode.",
+      areas: ["mtu"],
+      resolved: "done",
+      unresolved: "escalate.carrier",
+    },
+    "ip.apnProtocol": {
+      title: "Change the APN protocol",
+      instruction: "Settings → Mobile network → Access Point Names → your APN → APN protocol: choose IPv4/IPv6 (or IPv4 if IPv6 is the broken one). Save and go back.",
+      areas: ["ipFamily"],
+      resolved: "done",
+      unresolved: "ip.airplane",
+    },
+    "ip.airplane": {
+      title: "Toggle airplane mode",
+      instruction: "Turn airplane mode on, wait 10 seconds, then turn it off so the new APN settings take effect.",
+      areas: ["ipFamily"],
+      resolved: "done",
+      unresolved: "escalate.carrier",
+    },
+    "device.free": {
+      title: "Free up the device",
+      instruction: "Close heavy apps and games, plug in the charger (or turn off battery saver), and keep this tab in front while it re-checks.",
+      areas: [],
+      resolvedWhen: { fact: "device.distorted", ne: true },
+      resolved: "done",
+      unresolved: "escalate.device",
+    },
+    "radio.airplane": {
+      title: "Toggle airplane mode",
+      instruction: "Turn airplane mode on, wait 10 seconds, then turn it off. A stalled data session often clears on reconnect.",
+      areas: ["loss", "throughput", "responsiveness"],
+      resolved: "done",
+      unresolved: "radio.move",
+    },
+    "radio.move": {
+      title: "Move or change band",
+      instruction: "Move near a window or outdoors, or set the network mode to 4G/LTE only for a moment, then try again.",
+      areas: ["loss", "throughput", "responsiveness"],
+      resolved: "done",
+      unresolved: "escalate.carrier",
+    },
+    "blocked.vpn": {
+      title: "Turn off VPN and firewall apps",
+      instruction: "Disconnect any VPN, ad blocker or firewall app that filters traffic.",
+      areas: ["quic", "stun", "websocket"],
+      resolved: "done",
+      unresolved: "blocked.switch",
+    },
+    "blocked.switch": {
+      title: "Switch networks",
+      instruction: "If you're on Wi-Fi, turn it off and use mobile data; if you're on mobile data, try a trusted Wi-Fi.",
+      areas: ["quic", "stun", "websocket"],
+      resolved: "done",
+      unresolved: "escalate.network",
+    },
+    "escalate.carrier": {
+      escalate: true,
+      title: "Contact your carrier",
+      instruction:
+        "The usual fixes didn't clear \"{{target.title}}\". Contact {{carrier.name}} support, mention the steps you tried below, and ask them to reset your data session and check the line.",
+    },
+    "escalate.venue": {
+      escalate: true,
+      title: "Ask the venue",
+      instruction: "This Wi-Fi keeps intercepting traffic. Ask staff for the login details, or stay on mobile data.",
+    },
+    "escalate.untrusted": {
+      escalate: true,
+      title: "Treat this network as untrusted",
+      instruction:
+        "Traffic is still being inspected. Don't log in or pay on this network. On a work/school device this may be policy — ask the IT team; otherwise remove any installed certificate or profile.",
+    },
+    "escalate.network": {
+      escalate: true,
+      title: "The network blocks it",
+      instruction: "This network keeps blocking the traffic calls and chat apps need. Use another network for calls, or ask its administrator to allow UDP.",
+    },
+    "escalate.device": {
+      escalate: true,
+      title: "Restart the phone",
+      instruction: "The device is still too busy to measure the network reliably. Restart it, then run a fresh scan.",
+    },
+  },
+};
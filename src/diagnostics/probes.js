@@ -0,0 +1,163 @@
+/**
+ * Probe registry.
+ *
+ * A probe is plain data: where to fetch, which category it belongs to and which
+ * diagnosis signals its result counts as evidence for. runScan() and the UI
+ * iterate the registry, so adding a probe (carrier endpoint, corporate health URL)
+ * needs no changes elsewhere.
+ */
+
+export const PROBE_CATEGORIES = ["latency", "captive", "dns", "transport"];
+
+// `advertisesH3: true` marks hosts known to offer HTTP/3 via Alt-Svc (see quic.js).
+
+// Probes with an `expect: { status?, body? }` block are fetched readably and
+// judged on content (see verify.js); everything else is an opaque timed fetch.
+
+// Signals a completed probe can vouch for:
+// - transport: packets get out and back
+// - domain:    a hostname resolved (DNS works)
+// - latency:   sample counts towards best/worst latency
+export const PROBE_EVIDENCE = ["transport", "domain", "latency"];
+
+export const DEFAULT_TIMEOUT_MS = 2500;
+
+// Exact response the own-origin connectivity check must return
+export const SELF_CHECK_EXPECT = { status: 200, body: "network-medic-ok" };
+
+// Prefer domain endpoints (raw IP often blocked on mobile networks)
+export const ENDPOINTS = {
+  // 204 endpoints: common connectivity checks
+  google204: "https://www.google.com/generate_204",
+  gstatic204: "https://www.gstatic.com/generate_204",
+
+  // Cloudflare domain endpoints (more reliable than 1.1.1.1 IP)
+  cfTrace: "https://one.one.one.one/cdn-cgi/trace",
+  cfHome: "https://www.cloudflare.com/",
+  // Sends Timing-Allow-Origin: *, so its cold request carries DNS/connect/TLS phases
+  cfSpeed: "https://speed.cloudflare.com/__down?bytes=0",
+
+  // Own-origin connectivity check with a known body (served by standins/)
+  selfCheck: "/connectivity-check",
+
+  // DoH JSON resolver (CORS-readable; see dns.js)
+  dohCloudflare: "https://cloudflare-dns.com/dns-query",
+};
+
+export const DEFAULT_PROBES = [
+  {
+    id: "google204",
+    advertisesH3: true,
+    label: "google.com (204 probe)",
+    url: ENDPOINTS.google204,
+    category: "latency",
+    icon: "globe",
+    evidence: ["transport", "domain", "latency"],
+  },
+  {
+    id: "cfTrace",
+    advertisesH3: true,
+    label: "Cloudflare (secondary probe)",
+    url: ENDPOINTS.cfTrace,
+    category: "latency",
+    icon: "network",
+    evidence: ["transport", "latency"],
+  },
+  {
+    id: "cfHome",
+    advertisesH3: true,
+    label: "cloudflare.com (domain probe)",
+    url: ENDPOINTS.cfHome,
+    category: "latency",
+    icon: "globe",
+    evidence: ["transport", "domain", "latency"],
+  },
+  {
+    // The only default probe whose phases are readable: the other hosts send no
+    // Timing-Allow-Origin, and selfCheck rides the page's already-open connection
+    id: "cfSpeed",
+    label: "Cloudflare speed (phase timing)",
+    url: ENDPOINTS.cfSpeed,
+    category: "latency",
+    icon: "network",
+    evidence: ["transport", "domain", "latency"],
+  },
+  {
+    id: "selfCheck",
+    label: "Connectivity check (this site)",
+    url: ENDPOINTS.selfCheck,
+    category: "captive",
+    // Readable probe: the response is compared with this instead of timed
+    expect: SELF_CHECK_EXPECT,
+    evidence: [],
+  },
+  {
+    id: "gstatic204",
+    advertisesH3: true,
+    label: "gstatic.com (captive check)",
+    url: ENDPOINTS.gstatic204,
+    category: "captive",
+    // Slower than this (or failing) while transport works → login intercept likely
+    slowMs: 1800,
+    evidence: [],
+  },
+];
+
+function normalizeProbe(probe) {
+  if (!probe || typeof probe.id !== "string" || !probe.id) {
+    throw new TypeError("Probe needs a string id.");
+  }
+  if (typeof probe.url !== "string" || !probe.url) {
+    throw new TypeError(`Probe "${probe.id}" needs a url.`);
+  }
+  if (!PROBE_CATEGORIES.includes(probe.category)) {
+    throw new TypeError(`Probe "${probe.id}" has unknown category "${probe.category}".`);
+  }
+  const evidence = (probe.evidence || []).filter((e) => PROBE_EVIDENCE.includes(e));
+  const normalized = {
+    label: probe.id,
+    icon: "network",
+    headers: {},
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    ...probe,
+    evidence,
+  };
+  if (normalized.slowMs != null && !(normalized.slowMs < normalized.timeoutMs)) {
+    throw new TypeError(`Probe "${probe.id}" has slowMs ${normalized.slowMs} at or above its ${normalized.timeoutMs} ms timeout.`);
+  }
+  return normalized;
+}
+
+/**
+ * Create a registry seeded with `probes` (defaults to DEFAULT_PROBES).
+ * Registration order is preserved and is the order the UI renders.
+ */
+export function createProbeRegistry(probes = DEFAULT_PROBES) {
+  const map = new Map();
+
+  const registry = {
+    register(probe) {
+      const p = normalizeProbe(probe);
+      map.set(p.id, p);
+      return registry;
+    },
+    unregister(id) {
+      map.delete(id);
+      return registry;
+    },
+    get(id) {
+      return map.get(id) || null;
+    },
+    list() {
+      return [...map.values()];
+    },
+    byCategory(category) {
+      return registry.list().filter((p) => p.category === category);
+    },
+  };
+
+  for (const p of probes) registry.register(p);
+  return registry;
+}
+
+export const defaultRegistry = createProbeRegistry();
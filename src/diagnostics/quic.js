@@ -0,0 +1,69 @@
+import { timedFetch } from "./fetch.js";
+
+/**
+ * HTTP/3 (QUIC) reachability.
+ *
+ * Browsers learn that a host speaks HTTP/3 from its Alt-Svc header and switch
+ * on a later request. If a host we know advertises h3 keeps negotiating h2 or
+ * http/1.1 across repeated requests, UDP/443 is probably being blocked.
+ */
+
+export const DEFAULT_QUIC_CHECK = {
+  rounds: 3,
+  timeoutMs: 2500,
+};
+
+// nextHopProtocol values → display names
+export const PROTOCOL_LABELS = {
+  h3: "HTTP/3",
+  "h3-29": "HTTP/3",
+  h2: "HTTP/2",
+  "http/1.1": "HTTP/1.1",
+  "http/1.0": "HTTP/1.0",
+};
+
+export function isH3(protocol) {
+  return typeof protocol === "string" && protocol.startsWith("h3");
+}
+
+/**
+ * @param {{ targets: { id: string, url: string }[], rounds?: number, timeoutMs?: number, traceHttp?: string|null, signal?: AbortSignal }} options
+ *   `targets` must advertise h3; `traceHttp` is the `http=` field from readTrace(), if available.
+ */
+export async function runQuicCheck({
+  targets,
+  rounds = DEFAULT_QUIC_CHECK.rounds,
+  timeoutMs = DEFAULT_QUIC_CHECK.timeoutMs,
+  traceHttp = null,
+  signal,
+}) {
+  const endpoints = [];
+  for (const t of targets) {
+    const protocols = [];
+    // Sequential: the Alt-Svc upgrade only applies to requests after the first
+    for (let i = 0; i < rounds && !signal?.aborted; i++) {
+      const r = await timedFetch(t.url, timeoutMs, {}, { signal });
+      if (r.ok && r.timing?.protocol) protocols.push(r.timing.protocol);
+    }
+    const outcome = protocols.some(isH3) ? "h3" : protocols.length >= 2 ? "tcpOnly" : "unknown";
+    endpoints.push({ id: t.id, url: t.url, protocols, outcome });
+  }
+
+  const traceH3 = isH3((traceHttp || "").replace("http/3", "h3"));
+  const anyH3 = traceH3 || endpoints.some((e) => e.outcome === "h3");
+  const tcpOnly = endpoints.filter((e) => e.outcome === "tcpOnly");
+
+  let verdict = "unknown";
+  let note = "This browser doesn't expose the negotiated protocol — QUIC status unknown.";
+  if (anyH3) {
+    verdict = "ok";
+    note = "HTTP/3 (QUIC over UDP) negotiated — UDP/443 gets through.";
+  } else if (tcpOnly.length) {
+    verdict = "blocked";
+    note = `${tcpOnly.length} HTTP/3-capable host${tcpOnly.length > 1 ? "s" : ""} stayed on ${
+      PROTOCOL_LABELS[tcpOnly[0].protocols[0]] || tcpOnly[0].protocols[0]
+    } across ${rounds} requests — UDP/443 looks blocked. YouTube and Google apps may stall before falling back to TCP.`;
+  }
+
+  return { verdict, endpoints, traceHttp, note };
+}
@@ -0,0 +1,123 @@
+import { timedFetch } from "./fetch.js";
+import { median } from "./stats.js";
+import { runDownloadTest, runUploadTest } from "./throughput.js";
+
+// Latency increase under load (ms) → grade; upper bounds, checked in order
+export const BUFFERBLOAT_GRADES = [
+  { grade: "A", maxIncreaseMs: 30 },
+  { grade: "B", maxIncreaseMs: 60 },
+  { grade: "C", maxIncreaseMs: 200 },
+  { grade: "D", maxIncreaseMs: 400 },
+  { grade: "F", maxIncreaseMs: Infinity },
+];
+
+export const DEFAULT_RESPONSIVENESS = {
+  idleSamples: 3,
+  intervalMs: 200,
+  timeoutMs: 2500,
+  loadMs: 6000,
+  upload: false,
+};
+
+export function gradeBufferbloat(increaseMs) {
+  if (increaseMs == null) return null;
+  return BUFFERBLOAT_GRADES.find((g) => increaseMs <= g.maxIncreaseMs).grade;
+}
+
+// Round-trips per minute, as used by Apple's networkQuality / RPM metric
+export function toRpm(ms) {
+  return ms > 0 ? Math.round(60000 / ms) : null;
+}
+
+async function sampleLatency(url, count, timeoutMs, signal) {
+  const out = [];
+  for (let i = 0; i < count && !signal?.aborted; i++) {
+    const r = await timedFetch(url, timeoutMs, {}, { signal });
+    if (r.ok) out.push(r.ms);
+  }
+  return out;
+}
+
+// Repeat a load test until `loadMs` has passed, so a payload that finishes
+// early on a fast link doesn't leave the rest of the probe window idle
+async function keepLoading(run, loadMs, signal) {
+  const deadline = Date.now() + loadMs;
+  let first = null;
+  let runs = 0;
+  while (!signal?.aborted) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) break;
+    const r = await run(remaining);
+    first ??= r;
+    runs++;
+    if (!r.ok) break;
+  }
+  return first && { ...first, runs };
+}
+
+/**
+ * Measure latency idle, then again while downloads (and optionally uploads)
+ * keep the link saturated for `loadMs`. The difference is queueing delay —
+ * bufferbloat. Probes that fail under load count at `timeoutMs`, so a link
+ * that stops answering entirely grades F rather than going ungraded.
+ *
+ * @param {{ url: string, download?: Object, upload?: boolean|Object, idleSamples?: number, intervalMs?: number, timeoutMs?: number, loadMs?: number, signal?: AbortSignal }} options
+ */
+export async function runResponsivenessTest({
+  url,
+  download = {},
+  upload = DEFAULT_RESPONSIVENESS.upload,
+  idleSamples = DEFAULT_RESPONSIVENESS.idleSamples,
+  intervalMs = DEFAULT_RESPONSIVENESS.intervalMs,
+  timeoutMs = DEFAULT_RESPONSIVENESS.timeoutMs,
+  loadMs = DEFAULT_RESPONSIVENESS.loadMs,
+  signal,
+}) {
+  const idle = await sampleLatency(url, idleSamples, timeoutMs, signal);
+
+  let loading = true;
+  const load = Promise.all([
+    keepLoading((maxMs) => runDownloadTest({ ...download, maxMs, signal }), loadMs, signal),
+    upload ? keepLoading((maxMs) => runUploadTest({ ...(upload === true ? {} : upload), maxMs, signal }), loadMs, signal) : null,
+  ]).finally(() => {
+    loading = false;
+  });
+
+  const loaded = [];
+  let loadedFailures = 0;
+  while (loading) {
+    const r = await timedFetch(url, timeoutMs, {}, { signal });
+    if (r.ok) loaded.push(r.ms);
+    else if (!r.aborted) loadedFailures++;
+    if (loading) await new Promise((res) => setTimeout(res, intervalMs));
+  }
+  const [downloadResult, uploadResult] = await load;
+
+  const idleMs = median(idle);
+  const loadedMs = median([...loaded, ...Array(loadedFailures).fill(timeoutMs)]);
+  const increaseMs = idleMs != null && loadedMs != null ? Math.max(0, loadedMs - idleMs) : null;
+  const grade = gradeBufferbloat(increaseMs);
+
+  return {
+    url,
+    idleMs,
+    loadedMs,
+    increaseMs,
+    grade,
+    idleRpm: toRpm(idleMs),
+    loadedRpm: toRpm(loadedMs),
+    loadedSamples: loaded.length + loadedFailures,
+    loadedFailures,
+    withUpload: Boolean(upload),
+    download: downloadResult,
+    upload: uploadResult,
+    note:
+      grade == null
+        ? "Not enough samples under load to grade responsiveness."
+        : grade === "A" || grade === "B"
+          ? `Latency stays steady under load (+${increaseMs} ms).`
+          : loadedFailures > loaded.length
+            ? `Most latency probes timed out while the link was busy (${loadedFailures} of ${loaded.length + loadedFailures}) — the connection stalls under load.`
+          : `Latency rises by +${increaseMs} ms when the link is busy — calls and games will lag during downloads.`,
+  };
+}
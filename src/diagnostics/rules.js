@@ -0,0 +1,295 @@
+import { DEFAULT_RULES } from "./ruleset.js";
+
+/**
+ * Declarative diagnosis rules.
+ *
+ * A rule is data: a condition over "facts" (the ScanResult plus a few UI-side
+ * values), a severity, user-facing text and a priority. Every rule whose
+ * condition holds becomes a finding, so one scan can report several problems;
+ * a `terminal` rule (offline, privacy mode) hides everything below it because
+ * those results would be noise. Findings are ranked by severity, then priority.
+ *
+ * Conditions:
+ *   { fact: "dns.verdict", eq: "hijacked" }          leaf; several operators on one leaf must all hold
+ *   { all: [...] } | { any: [...] } | { not: {...} } combinators; {} is always true
+ * Operators: eq, ne, gt, gte, lt, lte, in, exists. Ordering operators are
+ * false for missing values, so an unmeasured metric never fires a rule.
+ *
+ * Confidence (how well the scan backs a finding, unlike reliabilityScore()
+ * which rates the browser):
+ *   confidence: {
+ *     agreeing: "doh.hijacked",   independent checks pointing at the problem
+ *     of: "doh.reachable",        checks that could have (omit when unknown)
+ *     samples: "loss.sent",       repeated measurements; minSamples (default 5) for full weight
+ *     readable: true,             content was read (true) or inferred from opaque timing (false)
+ *     reason: ["{{agreeing}} of {{of}} test domains answered wrongly", "DoH answered"],
+ *     deviceSensitive: false,     a busy device can't fake this (default true: discounted by device.confidenceFactor)
+ *   }
+ * Counts are fact paths (numbers, or arrays counted by length) or
+ * { count: "path.to.array", where: condition }. `readable` may be a condition.
+ * Reason lines also see {{agreeing}}, {{of}} and {{samples}}; { when, text }
+ * lines show only when their condition holds.
+ */
+
+export const RULE_SEVERITIES = ["critical", "warning", "info", "ok"];
+
+// classifyHealth() keeps the old red/amber/green levels for the UI
+export const SEVERITY_LEVELS = { critical: "red", warning: "amber", info: null, ok: "green" };
+
+const OPERATORS = {
+  eq: (v, x) => v === x,
+  ne: (v, x) => v !== x,
+  gt: (v, x) => typeof v === "number" && v > x,
+  gte: (v, x) => typeof v === "number" && v >= x,
+  lt: (v, x) => typeof v === "number" && v < x,
+  lte: (v, x) => typeof v === "number" && v <= x,
+  in: (v, x) => Array.isArray(x) && x.includes(v),
+  exists: (v, x) => (v != null) === x,
+};
+
+// Ranking order for findings: most severe first
+const SEVERITY_RANK = Object.fromEntries(RULE_SEVERITIES.map((s, i) => [s, i]));
+
+const FILTERS = {
+  seconds: (v) => (typeof v === "number" ? Math.round(v / 1000) : v),
+};
+
+export function readFact(facts, path) {
+  let v = facts;
+  for (const key of path.split(".")) {
+    if (v == null) return undefined;
+    v = v[key];
+  }
+  return v;
+}
+
+export function matches(condition, facts) {
+  if (!condition || typeof condition !== "object") return false;
+  if (condition.all) return condition.all.every((c) => matches(c, facts));
+  if (condition.any) return condition.any.some((c) => matches(c, facts));
+  if (condition.not) return !matches(condition.not, facts);
+  if (!("fact" in condition)) return true;
+  const value = readFact(facts, condition.fact);
+  return Object.keys(OPERATORS).every((op) => !(op in condition) || OPERATORS[op](value, condition[op]));
+}
+
+// "{{path}}" or "{{path|filter}}"; missing facts render as "—", arrays join with spaces.
+// `strict` returns null instead when any fact is missing (evidence lines are dropped).
+export function interpolate(text, facts, { strict = false } = {}) {
+  let missing = false;
+  const out = String(text).replace(/\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g, (_, path, filter) => {
+    let v = readFact(facts, path);
+    if (filter && FILTERS[filter]) v = FILTERS[filter](v);
+    if (Array.isArray(v)) v = v.length ? v.join(" ") : null;
+    if (v == null) missing = true;
+    return v == null ? "—" : String(v);
+  });
+  return strict && missing ? null : out;
+}
+
+export const CONFIDENCE_LEVELS = ["high", "medium", "low"];
+
+// Score (0–1) needed for each level
+export const CONFIDENCE_THRESHOLDS = { high: 0.75, medium: 0.45 };
+
+// Opaque/timing-only signals are suggestive, not proof
+const OPAQUE_WEIGHT = 0.4;
+
+function countFact(spec, facts) {
+  if (spec == null) return null;
+  if (typeof spec === "string") {
+    const v = readFact(facts, spec);
+    return Array.isArray(v) ? v.length : typeof v === "number" ? v : null;
+  }
+  const list = readFact(facts, spec.count);
+  if (!Array.isArray(list)) return null;
+  return spec.where ? list.filter((item) => matches(spec.where, item)).length : list.length;
+}
+
+export function confidenceLevel(score) {
+  if (score >= CONFIDENCE_THRESHOLDS.high) return "high";
+  if (score >= CONFIDENCE_THRESHOLDS.medium) return "medium";
+  return "low";
+}
+
+/**
+ * Score a rule's confidence spec. Each available component — agreement,
+ * sample count, readable vs opaque — scores 0–1 and the score is their mean
+ * (0.5 when the rule declares nothing measurable).
+ */
+export function scoreConfidence(spec = {}, facts) {
+  const agreeing = countFact(spec.agreeing, facts);
+  const of = countFact(spec.of, facts);
+  const samples = countFact(spec.samples, facts);
+
+  const parts = [];
+  if (agreeing != null && of) {
+    // Agreement only counts fully once at least two independent checks ran
+    parts.push(Math.min(1, agreeing / of) * Math.min(1, of / 2));
+  } else if (agreeing != null) {
+    parts.push(Math.min(1, agreeing / 2));
+  }
+  if (samples != null) parts.push(Math.min(1, samples / (spec.minSamples || 5)));
+  if (spec.readable != null) {
+    const readable = typeof spec.readable === "boolean" ? spec.readable : matches(spec.readable, facts);
+    parts.push(readable ? 1 : OPAQUE_WEIGHT);
+  }
+
+  let score = parts.length ? parts.reduce((a, b) => a + b, 0) / parts.length : 0.5;
+  // Timings taken on a busy or backgrounded device say less about the network
+  const discounted = spec.deviceSensitive !== false && facts.device?.distorted === true;
+  if (discounted) score *= facts.device.confidenceFactor;
+
+  const scope = { ...facts, agreeing, of, samples };
+  const reason = (spec.reason || [])
+    .filter((line) => typeof line === "string" || matches(line.when, scope))
+    .map((line) => interpolate(typeof line === "string" ? line : line.text, scope, { strict: true }))
+    .filter(Boolean);
+  if (discounted) reason.push("discounted for device load");
+
+  return {
+    level: confidenceLevel(score),
+    score: Math.round(score * 100) / 100,
+    agreeing,
+    of,
+    samples,
+    discounted,
+    reason: reason.length ? reason.join(", ") : null,
+  };
+}
+
+// "high confidence: 3 of 3 domain probes failed, DoH answered"
+export function describeConfidence(confidence) {
+  if (!confidence) return null;
+  return `${confidence.level} confidence${confidence.reason ? `: ${confidence.reason}` : ""}`;
+}
+
+function checkCondition(condition, where) {
+  if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+    throw new TypeError(`${where}: condition must be an object.`);
+  }
+  for (const key of ["all", "any"]) {
+    if (key in condition) {
+      if (!Array.isArray(condition[key])) throw new TypeError(`${where}: "${key}" needs an array.`);
+      condition[key].forEach((c) => checkCondition(c, where));
+    }
+  }
+  if ("not" in condition) checkCondition(condition.not, where);
+  if ("fact" in condition) {
+    if (typeof condition.fact !== "string") throw new TypeError(`${where}: "fact" must be a dotted path string.`);
+    const ops = Object.keys(condition).filter((k) => k !== "fact");
+    const unknown = ops.find((op) => !(op in OPERATORS));
+    if (unknown) throw new TypeError(`${where}: unknown operator "${unknown}".`);
+    if (!ops.length) throw new TypeError(`${where}: "${condition.fact}" has no operator.`);
+  }
+}
+
+/**
+ * Validate one rule and fill in defaults. Throws TypeError on a malformed rule
+ * so a bad tuning file fails loudly instead of silently never firing.
+ */
+export function normalizeRule(rule) {
+  if (!rule || typeof rule.id !== "string" || !rule.id) throw new TypeError("Rule needs a string id.");
+  const where = `Rule "${rule.id}"`;
+  if (!RULE_SEVERITIES.includes(rule.severity)) throw new TypeError(`${where} has unknown severity "${rule.severity}".`);
+  if (typeof rule.title !== "string" || !rule.title) throw new TypeError(`${where} needs a title.`);
+  checkCondition(rule.when ?? {}, where);
+  if (rule.evidence != null && !Array.isArray(rule.evidence)) throw new TypeError(`${where}: "evidence" needs an array.`);
+  if (rule.confidence != null) {
+    if (typeof rule.confidence !== "object" || Array.isArray(rule.confidence)) throw new TypeError(`${where}: "confidence" must be an object.`);
+    if (typeof rule.confidence.readable === "object") checkCondition(rule.confidence.readable, where);
+  }
+  return {
+    kind: rule.id,
+    priority: 0,
+    detail: "",
+    label: rule.title.toUpperCase(),
+    suggestions: [],
+    evidence: [],
+    confidence: {},
+    terminal: false,
+    fallback: false,
+    when: {},
+    ...rule,
+  };
+}
+
+// Rule sets that already went through loadRules(); evaluateRules() skips re-validating them
+const loaded = new WeakSet();
+
+/**
+ * Accept rules as an array or a JSON string (e.g. a tuned file fetched by the host).
+ * Returns the validated rules in evaluation (priority) order. Load once and
+ * pass the result around: it's evaluated as-is, without another validation pass.
+ */
+export function loadRules(source) {
+  if (loaded.has(source)) return source;
+  const rules = typeof source === "string" ? JSON.parse(source) : source;
+  if (!Array.isArray(rules)) throw new TypeError("Rules must be an array.");
+  const seen = new Set();
+  const out = rules
+    .map((r) => {
+      const rule = normalizeRule(r);
+      if (seen.has(rule.id)) throw new TypeError(`Duplicate rule id "${rule.id}".`);
+      seen.add(rule.id);
+      return rule;
+    })
+    .sort((a, b) => b.priority - a.priority);
+  loaded.add(out);
+  return out;
+}
+
+// DEFAULT_RULES, validated once at import
+export const defaultRules = loadRules(DEFAULT_RULES);
+
+/**
+ * Facts the rules read: the scan result plus UI-side state.
+ * @param {{ online: boolean, externalChecksEnabled: boolean, result?: Object|null, abDeltaMs?: number|null }} input
+ */
+export function buildFacts({ online, externalChecksEnabled, result = null, abDeltaMs = null }) {
+  return { ...(result || {}), online, externalChecksEnabled, ab: { deltaMs: abDeltaMs } };
+}
+
+// Most severe first; priority breaks ties within a severity
+export function rankFindings(findings) {
+  return [...findings].sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity] || b.priority - a.priority);
+}
+
+/**
+ * Evaluate rules (raw, or loaded once with loadRules()) against facts. Rules are checked in
+ * priority order (so `terminal` cuts off everything below it); findings come
+ * back ranked by rankFindings(). Fallback rules fire only when no
+ * critical/warning finding did.
+ */
+export function evaluateRules(facts, rules = defaultRules) {
+  const ordered = loadRules(rules);
+  const findings = [];
+  for (const rule of ordered) {
+    if (rule.fallback || !matches(rule.when, facts)) continue;
+    findings.push(toFinding(rule, facts));
+    if (rule.terminal) break;
+  }
+  if (!findings.some((f) => f.severity === "critical" || f.severity === "warning")) {
+    for (const rule of ordered) {
+      if (rule.fallback && matches(rule.when, facts)) findings.push(toFinding(rule, facts));
+    }
+  }
+  return rankFindings(findings);
+}
+
+function toFinding(rule, facts) {
+  return {
+    id: rule.id,
+    kind: rule.kind,
+    severity: rule.severity,
+    level: SEVERITY_LEVELS[rule.severity],
+    priority: rule.priority,
+    title: interpolate(rule.title, facts),
+    detail: interpolate(rule.detail, facts),
+    label: interpolate(rule.label, facts),
+    suggestions: rule.suggestions.map((s) => interpolate(s, facts)),
+    // Measurements behind the finding; lines whose facts are missing are left out
+    evidence: rule.evidence.map((e) => interpolate(e, facts, { strict: true })).filter(Boolean),
+    confidence: scoreConfidence(rule.confidence, facts),
+  };
+}
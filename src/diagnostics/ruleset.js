@@ -0,0 +1,504 @@
+/**
+ * Default diagnosis rules — plain data, evaluated by rules.js.
+ *
+ * Keep this file JSON-compatible (no functions, no computed values) so a
+ * tuned copy can be shipped as JSON and passed through loadRules().
+ *
+ * Conditions read "facts": the ScanResult plus `online`,
+ * `externalChecksEnabled` and `ab.deltaMs` (After minus Baseline median).
+ * Text fields may interpolate facts as {{path}} or {{path|seconds}}.
+ * `evidence` lines cite the measurements behind a finding; a line whose facts
+ * are missing is dropped rather than shown with blanks. `confidence` says how
+ * well the scan backs the finding (see scoreConfidence in rules.js).
+ */
+export const DEFAULT_RULES = [
+  {
+    id: "offline",
+    kind: "offline",
+    priority: 1000,
+    severity: "critical",
+    terminal: true,
+    when: { fact: "online", eq: false },
+    title: "No Connectivity",
+    detail: "Device reports offline, or the network blocks outbound traffic.",
+    label: "OFFLINE",
+    evidence: ["The browser reports no network connection."],
+    confidence: { readable: true, reason: ["the browser itself reports no connection"], deviceSensitive: false },
+    suggestions: ["Check that mobile data is on and airplane mode is off, then re-scan."],
+  },
+  {
+    id: "privacy",
+    kind: "privacy",
+    priority: 990,
+    severity: "warning",
+    terminal: true,
+    when: { fact: "externalChecksEnabled", ne: true },
+    title: "Limited Scan Mode",
+    detail: "External diagnostics are OFF. Enable them for deeper checks.",
+    label: "PRIVACY MODE",
+    evidence: [],
+    confidence: { readable: true, reason: ["external checks are switched off"], deviceSensitive: false },
+    suggestions: [],
+  },
+  {
+    id: "unreachable",
+    kind: "unreachable",
+    priority: 950,
+    severity: "critical",
+    terminal: true,
+    when: { all: [{ fact: "reachability.total", gt: 0 }, { fact: "reachability.ok", eq: 0 }] },
+    title: "Nothing Gets Through",
+    detail: "The device reports a connection, but every test request failed — the connection itself isn't carrying traffic.",
+    label: "NO TRAFFIC",
+    evidence: ["All {{reachability.total}} test requests failed.", "{{dns.note}}"],
+    confidence: {
+      agreeing: "reachability.failed",
+      of: "reachability.total",
+      readable: false,
+      reason: ["{{agreeing}} of {{of}} requests failed"],
+    },
+    suggestions: [
+      "Nothing gets through although the phone shows a connection — turn off any VPN, toggle airplane mode for 10 seconds, then re-scan. If it persists, restart the phone or contact your carrier.",
+    ],
+  },
+  {
+    id: "captive",
+    kind: "captive",
+    priority: 900,
+    severity: "critical",
+    when: { fact: "captive.suspected", eq: true },
+    title: "Captive Portal Suspected",
+    detail: "You may be stuck on a Wi-Fi login/intercept page.",
+    label: "LOGIN REQUIRED",
+    evidence: ["{{captive.note}}", "Median latency {{latency.medianMs}} ms"],
+    confidence: {
+      agreeing: { count: "captive.checks", where: { fact: "verdict", in: ["mismatch", "redirected", "slow", "unreachable"] } },
+      of: "captive.checks",
+      readable: { fact: "captive.evidence", eq: "content" },
+      reason: [
+        "{{agreeing}} of {{of}} connectivity checks looked intercepted",
+        { when: { fact: "captive.evidence", eq: "content" }, text: "page content compared" },
+        { when: { fact: "captive.evidence", eq: "timing" }, text: "timing only" },
+      ],
+    },
+    suggestions: ["Captive portal suspected — turn OFF Wi-Fi, open a browser to complete login, then re-scan."],
+  },
+  {
+    id: "dnsHijack",
+    kind: "dnsHijack",
+    priority: 880,
+    severity: "critical",
+    when: { fact: "dns.verdict", eq: "hijacked" },
+    title: "DNS Hijacked",
+    detail: "Well-known domains resolve to the wrong addresses — something on this network is rewriting DNS answers.",
+    label: "DNS HIJACKED",
+    evidence: ["{{doh.note}}", "{{nxdomain.note}}"],
+    confidence: {
+      agreeing: "doh.hijacked",
+      of: "doh.reachable",
+      readable: true,
+      reason: ["{{agreeing}} of {{of}} test domains resolved to the wrong addresses", "DoH answered"],
+      deviceSensitive: false,
+    },
+    suggestions: [
+      "DNS answers are being rewritten — avoid logging in to anything on this network. Switch to mobile data, or set Private DNS to one.one.one.one / dns.google, then re-scan.",
+    ],
+  },
+  {
+    id: "intercept",
+    kind: "intercept",
+    priority: 870,
+    severity: "critical",
+    when: { fact: "interception.verdict", eq: "inspected" },
+    title: "Traffic Inspected",
+    detail:
+      "Traffic appears to be proxied/inspected — something on this network sits between you and the sites you visit and may be able to read HTTPS.",
+    label: "PROXIED",
+    evidence: ["{{interception.evidence}}"],
+    confidence: {
+      agreeing: "interception.evidence",
+      readable: true,
+      reason: ["{{agreeing}} independent signs of inspection"],
+      deviceSensitive: false,
+    },
+    suggestions: [
+      "Traffic appears to be proxied/inspected — don't log in, bank or enter passwords on this network. Use mobile data or a VPN you trust. On a work/school device this may be policy; if a \"certificate\" or \"profile\" was installed to get online, remove it when you leave.",
+    ],
+  },
+  {
+    id: "dns",
+    kind: "dns",
+    priority: 860,
+    severity: "warning",
+    when: { all: [{ fact: "dns.ok", eq: false }, { fact: "dns.verdict", ne: "hijacked" }] },
+    title: "DNS / APN Issue",
+    detail: "Transport looks reachable but domains fail (often APN/VPN/Private DNS).",
+    label: "DNS DEGRADED",
+    evidence: ["{{dns.note}}", "{{doh.note}}"],
+    confidence: {
+      agreeing: "dns.domainProbes.failed",
+      of: "dns.domainProbes.total",
+      readable: { fact: "dns.evidence", eq: "doh" },
+      reason: [
+        "{{agreeing}} of {{of}} domain probes failed",
+        { when: { fact: "doh.failing", gt: 0 }, text: "{{doh.failing}} of {{doh.reachable}} DoH lookups failed" },
+        { when: { fact: "doh.verdict", eq: "ok" }, text: "DoH answered" },
+        { when: { fact: "doh.reachable", eq: 0 }, text: "DoH unreachable" },
+      ],
+    },
+    suggestions: ["Domains failing but transport reachable — disable VPN/Private DNS, verify APN, then toggle airplane mode and re-scan."],
+  },
+  {
+    id: "mtu",
+    kind: "mtu",
+    priority: 850,
+    severity: "critical",
+    when: { fact: "mtu.verdict", eq: "blackhole" },
+    title: "MTU Blackhole Suspected",
+    detail:
+      "Small requests succeed but larger transfers stall — full-size packets are being dropped (common with VPNs and some APNs). Pages half-load and apps spin forever.",
+    label: "MTU BLACKHOLE",
+    evidence: ["{{mtu.note}}"],
+    confidence: {
+      samples: "mtu.download.rungs",
+      minSamples: 4,
+      readable: true,
+      reason: ["downloads stalled at {{mtu.downStallBytes}} bytes", "headers stalled at {{mtu.upStallBytes}} bytes"],
+    },
+    suggestions: [
+      "Large packets are being dropped — if a VPN is on, lower its MTU (e.g. 1280) or switch it off; otherwise reset the APN to carrier defaults, toggle airplane mode (10s), then re-scan.",
+    ],
+  },
+  {
+    id: "v6Broken",
+    kind: "ipFamily",
+    priority: 840,
+    severity: "warning",
+    when: { fact: "ipFamily.verdict", eq: "v6Broken" },
+    title: "Broken IPv6 Path",
+    detail: "IPv6 is offered but doesn't carry traffic — some sites and apps hang while others work.",
+    label: "IPV6 BROKEN",
+    evidence: ["{{ipFamily.note}}"],
+    confidence: {
+      readable: true,
+      reason: [
+        "IPv6 requests failed ({{ipFamily.v6.failure}})",
+        { when: { fact: "ipFamily.v4.confirmed", eq: true }, text: "IPv4 confirmed by the echo service" },
+      ],
+    },
+    suggestions: [
+      "IPv6 is broken on this connection — set the APN protocol to IPv4 (or IPv4/IPv6 → IPv4), or disable IPv6 on your hotspot/router, then re-scan.",
+    ],
+  },
+  {
+    id: "v4Broken",
+    kind: "ipFamily",
+    priority: 835,
+    severity: "warning",
+    when: { fact: "ipFamily.verdict", eq: "v4Broken" },
+    title: "Broken IPv4 Path",
+    detail: "Only IPv6 works; IPv4-only sites and apps depend on a carrier translation service that is failing.",
+    label: "IPV4 BROKEN",
+    evidence: ["{{ipFamily.note}}"],
+    confidence: {
+      readable: true,
+      reason: [
+        "IPv4 requests failed ({{ipFamily.v4.failure}})",
+        { when: { fact: "ipFamily.v6.confirmed", eq: true }, text: "IPv6 confirmed by the echo service" },
+      ],
+    },
+    suggestions: ["IPv4 isn't getting through — set the APN protocol to IPv4/IPv6, toggle airplane mode (10s), and contact your carrier if it persists."],
+  },
+  {
+    id: "v6Slow",
+    kind: "ipFamily",
+    priority: 830,
+    severity: "warning",
+    when: { fact: "ipFamily.verdict", eq: "v6Slow" },
+    title: "Slow IPv6 Path",
+    detail: "IPv6 works but is much slower than IPv4 — apps and sites that prefer IPv6 feel sluggish.",
+    label: "IPV6 SLOW",
+    evidence: ["IPv6 median {{ipFamily.v6.medianMs}} ms vs. IPv4 {{ipFamily.v4.medianMs}} ms."],
+    confidence: {
+      readable: false,
+      reason: [
+        "median latency per address family",
+        { when: { fact: "ipFamily.preferred", eq: "v6" }, text: "this browser uses IPv6 by default" },
+      ],
+    },
+    suggestions: [
+      "IPv6 is much slower than IPv4 here — set the APN protocol to IPv4 (or disable IPv6 on your hotspot/router), toggle airplane mode (10s), then re-scan.",
+    ],
+  },
+  {
+    id: "nxdomainRedirect",
+    kind: "nxdomainRedirect",
+    priority: 820,
+    severity: "warning",
+    when: { fact: "dns.nxdomainRedirect", eq: true },
+    title: "NXDOMAIN Redirection",
+    detail: "Names that don't exist still resolve — this network rewrites failed lookups to its own ad or search pages.",
+    label: "DNS REWRITTEN",
+    evidence: ["{{nxdomain.note}}"],
+    confidence: {
+      agreeing: "nxdomain.redirectedCount",
+      of: "nxdomain.testedCount",
+      readable: { fact: "nxdomain.evidence", eq: "doh" },
+      reason: [
+        "{{agreeing}} of {{of}} made-up name lookups resolved anyway",
+        { when: { fact: "nxdomain.evidence", eq: "timing" }, text: "system resolver timing only" },
+      ],
+      deviceSensitive: false,
+    },
+    suggestions: [
+      "This network redirects nonexistent domains to its own pages — mistyped URLs and some app checks will land on ads. Set Private DNS to one.one.one.one or dns.google, or use mobile data instead.",
+    ],
+  },
+  {
+    id: "deviceLoad",
+    kind: "device",
+    priority: 810,
+    severity: "warning",
+    when: { fact: "device.distorted", eq: true },
+    title: "Device, Not Network?",
+    detail: "{{device.note}} Slow or failed timings in this scan may come from the phone itself rather than the connection.",
+    label: "DEVICE BUSY",
+    evidence: [
+      "Main thread blocked for {{device.flags.busyMs}} ms during the scan.",
+      "Tab was in the background for {{device.flags.backgroundMs|seconds}} s (browsers throttle hidden tabs).",
+      "Battery at {{device.flags.batteryPct}}% and not charging.",
+    ],
+    confidence: { readable: true, reason: ["timing-based findings count ×{{device.confidenceFactor}}"], deviceSensitive: false },
+    suggestions: [
+      "Measurements were distorted by the device — close heavy apps, keep this tab in front, plug in the charger (or turn off battery saver), then re-scan.",
+    ],
+  },
+  {
+    id: "lossy",
+    kind: "lossy",
+    priority: 800,
+    severity: "warning",
+    when: { fact: "loss.lossy", eq: true },
+    title: "Lossy Link",
+    detail: "Many requests in a burst failed or timed out — the link is dropping traffic even though it connects.",
+    label: "LOSSY LINK",
+    evidence: ["{{loss.failed}} of {{loss.sent}} burst requests failed ({{loss.timedOut}} timed out)."],
+    confidence: { samples: "loss.sent", readable: false, reason: ["{{loss.failed}} of {{samples}} burst requests failed", "opaque timing"] },
+    suggestions: [
+      "About {{loss.lossPct}}% of requests are being dropped — move to a spot with stronger signal, switch bands (4G/5G), or toggle airplane mode (10s), then re-scan.",
+    ],
+  },
+  {
+    id: "throttled",
+    kind: "throttled",
+    priority: 780,
+    severity: "warning",
+    when: { fact: "throughput.download.throttled", eq: true },
+    title: "Plan Throttled?",
+    detail: "Download speed is flat at ~{{throughput.download.plateauMbps}} Mbps — the shape carriers use after a plan's data cap is hit.",
+    label: "THROTTLED?",
+    evidence: ["{{throughput.download.note}}"],
+    confidence: { samples: "throughput.download.rates", readable: true, reason: ["{{samples}} throughput windows measured"] },
+    suggestions: [
+      "Speed is capped at ~{{throughput.download.plateauMbps}} Mbps — check your data balance in the carrier app or SMS. If you're over the cap, buy an add-on or wait for the billing cycle.",
+    ],
+  },
+  {
+    id: "asymmetric",
+    kind: "asymmetric",
+    priority: 760,
+    severity: "warning",
+    when: { fact: "throughput.asymmetry.asymmetric", eq: true },
+    title: "Upload Bottleneck",
+    detail: "Downloads are fine but the uplink is far slower — browsing works while photo uploads and voice notes stall.",
+    label: "UPLINK WEAK",
+    evidence: ["{{throughput.asymmetry.note}}"],
+    confidence: { readable: true, reason: ["downlink ~{{throughput.asymmetry.ratio}}× the uplink"] },
+    suggestions: [
+      "Uploads are much slower than downloads — weak uplink is common indoors or at cell edge. Move closer to a window, send media on Wi-Fi, or lower photo/video quality in the app.",
+    ],
+  },
+  {
+    id: "bufferbloat",
+    kind: "bufferbloat",
+    priority: 740,
+    severity: "warning",
+    when: { fact: "responsiveness.grade", in: ["D", "F"] },
+    title: "Laggy Under Load",
+    detail:
+      "Idle latency is fine, but it balloons when the link is busy (bufferbloat grade {{responsiveness.grade}}). Video calls and games will stutter during downloads.",
+    label: "BUFFERBLOAT {{responsiveness.grade}}",
+    evidence: ["Latency {{responsiveness.idleMs}} ms idle → {{responsiveness.loadedMs}} ms under load."],
+    confidence: { samples: "responsiveness.loadedSamples", readable: false, reason: ["{{samples}} latency samples under load"] },
+    suggestions: [
+      "Latency jumps by +{{responsiveness.increaseMs}} ms under load — pause background downloads, cloud backups and app updates during calls. On a hotspot/router, enable SQM or QoS if available.",
+    ],
+  },
+  {
+    id: "quic",
+    kind: "quic",
+    priority: 720,
+    severity: "warning",
+    when: { fact: "quic.verdict", eq: "blocked" },
+    title: "UDP/QUIC Blocked?",
+    detail:
+      "HTTPS over TCP works, but HTTP/3 never negotiated — UDP/443 looks blocked. QUIC-heavy apps (YouTube, Google services) may stall before falling back.",
+    label: "QUIC BLOCKED?",
+    evidence: ["{{quic.note}}"],
+    confidence: {
+      agreeing: { count: "quic.endpoints", where: { fact: "outcome", eq: "tcpOnly" } },
+      of: { count: "quic.endpoints", where: { fact: "outcome", ne: "unknown" } },
+      readable: true,
+      reason: ["{{agreeing}} of {{of}} HTTP/3-capable hosts stayed on TCP"],
+    },
+    suggestions: [
+      "UDP/443 (QUIC) seems blocked — if you're on a work/school network or VPN, that's likely policy. Apps should fall back to TCP; if YouTube or Google apps hang, try mobile data or disable the VPN.",
+    ],
+  },
+  {
+    id: "udpBlocked",
+    kind: "calls",
+    priority: 700,
+    severity: "warning",
+    when: { fact: "stun.verdict", eq: "blocked" },
+    title: "Calls May Fail",
+    detail:
+      "Browsing works over TCP, but UDP never got out — WhatsApp, Zoom and other voice/video calls will fail or fall back to slow relays.",
+    label: "UDP BLOCKED",
+    evidence: ["{{stun.note}}"],
+    confidence: {
+      agreeing: { count: "stun.servers", where: { fact: "answered", eq: false } },
+      of: "stun.servers",
+      readable: true,
+      reason: ["{{agreeing}} of {{of}} STUN servers never answered"],
+    },
+    suggestions: [
+      "Calls may fail — UDP is blocked on this network. If you're on Wi-Fi (work, school, hotel), switch to mobile data for calls; otherwise disable VPN or firewall apps, then re-scan.",
+    ],
+  },
+  {
+    id: "symmetricNat",
+    kind: "calls",
+    priority: 690,
+    severity: "warning",
+    when: { fact: "stun.nat", eq: "symmetric" },
+    title: "Calls May Fail",
+    detail: "UDP works, but the NAT is symmetric — calls can't connect peer-to-peer and must be relayed, so they may drop or sound choppy.",
+    label: "SYMMETRIC NAT",
+    evidence: ["{{stun.note}}"],
+    confidence: {
+      agreeing: { count: "stun.servers", where: { fact: "answered", eq: true } },
+      readable: true,
+      reason: ["public ports compared across {{agreeing}} STUN servers"],
+    },
+    suggestions: ["Calls may fail — this network uses symmetric NAT, so calls are relayed. If they drop, try Wi-Fi, or ask your carrier about a public/IPv6 APN."],
+  },
+  {
+    id: "idleDrop",
+    kind: "idleDrop",
+    priority: 680,
+    severity: "warning",
+    when: { fact: "websocket.droppedAfterMs", exists: true },
+    title: "Idle Connections Dropped",
+    detail:
+      "A connection left quiet for ~{{websocket.droppedAfterMs|seconds}} s stopped delivering messages — the carrier's NAT forgets idle flows quickly, so chat and push notifications arrive late or not at all.",
+    label: "NAT TIMEOUT",
+    evidence: ["{{websocket.note}}"],
+    confidence: { samples: "websocket.idle", minSamples: 3, readable: true, reason: ["{{samples}} idle periods tested"] },
+    suggestions: [
+      "Idle connections are cut after ~{{websocket.droppedAfterMs|seconds}} s — messages and notifications may be delayed. Exempt chat apps from battery optimisation, avoid Data Saver, or try Wi-Fi; a VPN with keepalive can also help.",
+    ],
+  },
+  {
+    id: "dnsSlow",
+    kind: "dnsSlow",
+    priority: 660,
+    severity: "warning",
+    when: { fact: "latency.phases.slowPhase", eq: "dns" },
+    title: "Slow DNS",
+    detail:
+      "Name lookups take most of each request's time while connections themselves are quick — the resolver is the bottleneck, not the radio.",
+    label: "DNS SLOW",
+    evidence: ["Median DNS lookup {{latency.phases.dnsMs}} ms vs. connect {{latency.phases.connectMs}} ms."],
+    confidence: { samples: "latency.phases.detailedCount", minSamples: 3, readable: true, reason: ["phase timing from {{samples}} requests"] },
+    suggestions: ["DNS lookups are slow — switch Private DNS to one.one.one.one or dns.google (or turn it off if it's already set), then re-scan."],
+  },
+  {
+    id: "congestionRadio",
+    kind: "congestion",
+    priority: 645,
+    severity: "warning",
+    when: { all: [{ fact: "latency.medianMs", gte: 900 }, { fact: "latency.phases.slowPhase", eq: "radio" }] },
+    title: "Congestion / Stall",
+    detail: "Latency is extremely high and every round trip (connect and server wait) is slow — the radio link is congested or weak.",
+    label: "CONGESTION / STALL",
+    evidence: [
+      "Median latency {{latency.medianMs}} ms (worst {{latency.worstMs}} ms).",
+      "Connect {{latency.phases.connectMs}} ms, server wait {{latency.phases.waitMs}} ms.",
+    ],
+    confidence: { samples: "latency.phases.detailedCount", minSamples: 3, readable: true, reason: ["phase timing from {{samples}} requests"] },
+    suggestions: [
+      "Latency extremely high — try switching to 4G/LTE-only temporarily, move near a window, toggle airplane mode (10s), then re-scan.",
+    ],
+  },
+  {
+    id: "congestion",
+    kind: "congestion",
+    priority: 640,
+    severity: "warning",
+    when: { all: [{ fact: "latency.medianMs", gte: 900 }, { fact: "latency.phases.slowPhase", ne: "radio" }] },
+    title: "Congestion / Stall",
+    detail: "Latency is extremely high — congestion, weak coverage, or a stalled session.",
+    label: "CONGESTION / STALL",
+    evidence: ["Median latency {{latency.medianMs}} ms (worst {{latency.worstMs}} ms)."],
+    confidence: { samples: "latency.samplesPerProbe", minSamples: 3, readable: false, reason: ["{{samples}} sample(s) per probe", "opaque timing"] },
+    suggestions: [
+      "Latency extremely high — try switching to 4G/LTE-only temporarily, move near a window, toggle airplane mode (10s), then re-scan.",
+    ],
+  },
+  {
+    id: "abImproved",
+    kind: "abImproved",
+    priority: 200,
+    severity: "info",
+    when: { fact: "ab.deltaMs", lte: -250 },
+    title: "Reset Helped",
+    detail: "Median latency changed by {{ab.deltaMs}} ms after airplane mode.",
+    label: "RESET HELPED",
+    evidence: ["Baseline → After median: {{ab.deltaMs}} ms."],
+    confidence: { samples: "latency.samplesPerProbe", minSamples: 3, readable: false, reason: ["one Baseline and one After scan"] },
+    suggestions: ["Big improvement after airplane mode — likely a stalled data session. If frequent: reboot phone or re-seat SIM."],
+  },
+  {
+    id: "abWorse",
+    kind: "abWorse",
+    priority: 190,
+    severity: "info",
+    when: { fact: "ab.deltaMs", gte: 250 },
+    title: "Worse After Reset",
+    detail: "Median latency rose by +{{ab.deltaMs}} ms after airplane mode.",
+    label: "WORSE AFTER RESET",
+    evidence: ["Baseline → After median: +{{ab.deltaMs}} ms."],
+    confidence: { samples: "latency.samplesPerProbe", minSamples: 3, readable: false, reason: ["one Baseline and one After scan"] },
+    suggestions: ["Latency worsened after reset — likely congestion/coverage. Try a different spot/time and re-scan."],
+  },
+  {
+    id: "healthy",
+    kind: "healthy",
+    priority: 0,
+    severity: "ok",
+    fallback: true,
+    when: {},
+    title: "Healthy",
+    detail: "Connectivity looks normal based on browser-safe diagnostics.",
+    label: "OK",
+    evidence: ["Median latency {{latency.medianMs}} ms."],
+    confidence: {
+      samples: "latency.samplesPerProbe",
+      minSamples: 3,
+      readable: { fact: "captive.evidence", eq: "content" },
+      reason: ["{{samples}} sample(s) per probe", { when: { fact: "dns.evidence", eq: "doh" }, text: "DoH answers verified" }],
+    },
+    suggestions: ["If apps still fail despite a healthy scan: check Data Saver, VPN, Private DNS, and background restrictions."],
+  },
+];
@@ -0,0 +1,522 @@
+import { DEFAULT_BURST, runBurst } from "./burst.js";
+import { DEFAULT_DNS_VERIFICATION, DEFAULT_NXDOMAIN_CHECK, runDnsVerification, runNxdomainCheck } from "./dns.js";
+import { createDeviceMonitor } from "./device.js";
+import { classifyFailure, createCspMonitor } from "./errors.js";
+import { timedFetch } from "./fetch.js";
+import { DEFAULT_INTERCEPTION_CHECK, runInterceptionCheck } from "./intercept.js";
+import { DEFAULT_IP_FAMILY_CHECK, runIpFamilyCheck } from "./ipfamily.js";
+import { DEFAULT_MTU_LADDER, runMtuLadder } from "./mtu.js";
+import { getNetworkHint, isOnline } from "./network.js";
+import { defaultRegistry } from "./probes.js";
+import { DEFAULT_QUIC_CHECK, runQuicCheck } from "./quic.js";
+import { runResponsivenessTest } from "./responsiveness.js";
+import { runStunCheck } from "./stun.js";
+import { median, summarizeSamples } from "./stats.js";
+import { createTimeoutPolicy } from "./timeouts.js";
+import { summarizePhases } from "./timing.js";
+import { DEFAULT_TRACE, readTrace } from "./trace.js";
+import { runVerifiedProbe } from "./verify.js";
+import { assessAsymmetry, runDownloadTest, runUploadTest } from "./throughput.js";
+import { runWebSocketProbe } from "./websocket.js";
+
+/**
+ * @typedef {Object} ScanOptions
+ * @property {string} [label] Shown in A/B comparisons ("Baseline", "After Reset").
+ * @property {boolean} [externalChecksEnabled] Privacy gate — no outbound requests unless true.
+ * @property {Object} [registry] Probe registry (see createProbeRegistry); defaults to defaultRegistry.
+ * @property {boolean} [adaptiveTimeouts] Scale timeouts from the network hint and the first completed probe (default on); false for fixed module defaults.
+ * @property {number} [samples] Requests per latency probe (1 = single shot). Extra samples are warm follow-ups.
+ * @property {boolean|Object} [burst] Loss estimation: true for defaults, or runBurst() options. `url` defaults to the first transport-evidence probe.
+ * @property {boolean|Object} [download] Throughput test: true for DEFAULT_DOWNLOAD, or runDownloadTest() options.
+ * @property {boolean|Object} [upload] Upload test: true for DEFAULT_UPLOAD, or runUploadTest() options.
+ * @property {boolean|Object} [dnsVerification] DoH JSON answer checks (default on); false to skip, or runDnsVerification() options.
+ * @property {boolean|Object} [nxdomainCheck] Resolve random nonexistent names to catch NXDOMAIN rewriting (default on); false to skip, or runNxdomainCheck() options.
+ *   `{ viaFetch: true }` adds the system-resolver timing check, which needs connect-src to allow https: hosts.
+ * @property {boolean|Object} [trace] Read and parse Cloudflare cdn-cgi/trace (opt-in): true for defaults, or readTrace() options.
+ * @property {boolean|Object} [interception] Fetch a known file from the app's own origin to spot proxies/TLS inspection (default on); false to skip, or runInterceptionCheck() options. Uses the trace result when `trace` is on.
+ * @property {boolean|Object} [quicCheck] Repeat requests to HTTP/3-capable probes to detect blocked UDP/443 (default on); false to skip, or runQuicCheck() options.
+ * @property {boolean|Object} [mtu] Response/header size ladder against the app's own origin to catch MTU blackholes (default on); false to skip, or runMtuLadder() options.
+ * @property {boolean|Object} [ipFamily] IPv4 vs IPv6 comparison (opt-in; contacts IP_FAMILY_ENDPOINTS): true for defaults, or runIpFamilyCheck() options.
+ * @property {boolean|Object} [stun] UDP reachability / NAT type via WebRTC ICE gathering (opt-in; contacts STUN_SERVERS): true for defaults, or runStunCheck() options (e.g. `servers`).
+ * @property {boolean|Object} [websocket] Long-lived connection / NAT idle timeout probe (opt-in, takes ~1 min): true for defaults, or runWebSocketProbe() options (e.g. `url` of an echo server).
+ * @property {boolean|Object} [responsiveness] Latency-under-load test: true for defaults, or runResponsivenessTest() options.
+ * @property {(index: number, step: { id: string, label: string }) => void} [onProgress] Called as each step of scanSteps() starts.
+ * @property {AbortSignal} [signal] Stops the scan: in-flight probes fail as `aborted` and remaining optional steps are skipped.
+ */
+
+/**
+ * @typedef {Object} ScanResult
+ * @property {string} label
+ * @property {string} timestamp ISO timestamp.
+ * @property {boolean} online
+ * @property {Object} networkHint See getNetworkHint().
+ * @property {Object<string, Object>} probes Probe results keyed by id; latency probes carry `stats` (see summarizeSamples).
+ *   Failed probes carry `failure` (see classifyFailure) plus the raw `timedOut` / `timeoutMs`.
+ * @property {{ total: number, ok: number, failed: number }|null} reachability Latency, transport, captive and DNS
+ *   probes that finished (stopped ones aren't counted); null in privacy mode.
+ * @property {boolean} aborted The scan was stopped through `signal`.
+ * @property {Object} timeouts Timeout policy snapshot (see createTimeoutPolicy).
+ * @property {{ bestMs: number|null, medianMs: number|null, worstMs: number|null, samplesPerProbe: number, phases: Object, note: string }} latency
+ *   `phases` is summarizePhases() over every probe's cold-request Resource Timing.
+ * @property {{ suspected: boolean|null, evidence: "content"|"timing"|null, checks: Object[], note: string }} captive
+ * @property {{ ok: boolean|null, verdict: "ok"|"hijacked"|"failing"|null, evidence: "doh"|"heuristic"|null, nxdomainRedirect: boolean|null, domainProbes: { total: number, failed: number }|null, note: string }} dns
+ * @property {Object|null} doh runDnsVerification() result.
+ * @property {Object|null} nxdomain runNxdomainCheck() result.
+ * @property {Object|null} trace readTrace() result, or null when off.
+ * @property {Object|null} interception runInterceptionCheck() result.
+ * @property {Object|null} quic runQuicCheck() result.
+ * @property {Object|null} mtu runMtuLadder() result.
+ * @property {Object|null} ipFamily runIpFamilyCheck() result, or null when off.
+ * @property {Object|null} stun runStunCheck() result, or null when off.
+ * @property {Object|null} websocket runWebSocketProbe() result, or null when off.
+ * @property {Object|null} loss runBurst() result, or null when burst mode is off.
+ * @property {{ download: Object|null, upload: Object|null, asymmetry: Object|null }} throughput
+ * @property {Object|null} responsiveness runResponsivenessTest() result, or null when off.
+ * @property {Object|null} device Long tasks, tab visibility and battery while probes ran (see assessDeviceLoad); null in privacy mode.
+ */
+
+/**
+ * Ordered progress steps for a scan with the given options. Hosts use this to
+ * size their progress UI; runScan() reports against the same list.
+ */
+export function scanSteps({
+  externalChecksEnabled = false,
+  trace = false,
+  interception = true,
+  quicCheck = true,
+  mtu = true,
+  ipFamily = false,
+  stun = false,
+  websocket = false,
+  burst = false,
+  download = false,
+  upload = false,
+  responsiveness = false,
+} = {}) {
+  const steps = [{ id: "init", label: "Initializing" }];
+  if (externalChecksEnabled) {
+    steps.push({ id: "latency", label: "Testing latency" });
+    steps.push({ id: "captive", label: "Checking captive portal" });
+    steps.push({ id: "dns", label: "Verifying DNS" });
+    if (trace) steps.push({ id: "trace", label: "Reading network path" });
+    if (interception) steps.push({ id: "intercept", label: "Checking for traffic inspection" });
+    if (quicCheck) steps.push({ id: "quic", label: "Checking HTTP/3 (QUIC)" });
+    if (mtu) steps.push({ id: "mtu", label: "Testing large transfers (MTU)" });
+    if (ipFamily) steps.push({ id: "ipFamily", label: "Comparing IPv4 / IPv6" });
+    if (stun) steps.push({ id: "stun", label: "Checking UDP / NAT (calls)" });
+    if (websocket) steps.push({ id: "websocket", label: "Holding an idle connection" });
+    if (burst) steps.push({ id: "loss", label: "Measuring request loss" });
+    if (download || upload) steps.push({ id: "throughput", label: "Measuring throughput" });
+    if (responsiveness) steps.push({ id: "responsiveness", label: "Testing latency under load" });
+  }
+  steps.push({ id: "compile", label: "Compiling diagnosis" });
+  return steps;
+}
+
+// A captive probe's timeout never drops below this multiple of its `slowMs`:
+// a slow answer has to be able to arrive, or the timing check can only say "unreachable"
+const SLOW_TIMEOUT_HEADROOM = 1.5;
+
+// Sequential on purpose: parallel repeats of one probe would measure contention, not the link
+async function runProbe(probe, samples = 1, timeouts = null, signal = undefined) {
+  if (timeouts) {
+    const timeoutMs = timeouts.scale(probe.timeoutMs);
+    probe = { ...probe, timeoutMs: probe.slowMs != null ? Math.max(timeoutMs, Math.round(probe.slowMs * SLOW_TIMEOUT_HEADROOM)) : timeoutMs };
+  }
+  if (probe.expect) {
+    const r = await runVerifiedProbe(probe, { signal });
+    return { ...r, id: probe.id, category: probe.category, failures: r.ok ? 0 : 1, samples: [r.ms], stats: summarizeSamples([r.ms]) };
+  }
+
+  const n = probe.evidence.includes("latency") ? Math.max(1, Math.floor(samples)) : 1;
+  const runs = [];
+  for (let i = 0; i < n && !(i > 0 && signal?.aborted); i++) {
+    runs.push(await timedFetch(probe.url, probe.timeoutMs, probe.headers, { signal }));
+  }
+  // A stopped sample is neither latency nor loss; all stopped keeps the `aborted` result
+  const counted = settled(runs).length ? settled(runs) : runs;
+
+  const okRuns = counted.filter((r) => r.ok);
+  // A failed run's ms is time-to-failure, not latency — only fall back to it when nothing completed
+  const stats = summarizeSamples((okRuns.length ? okRuns : counted).map((r) => r.ms));
+  const first = okRuns[0] || counted[0];
+
+  return {
+    ...first,
+    id: probe.id,
+    category: probe.category,
+    ms: stats.medianMs ?? first.ms,
+    failures: counted.length - okRuns.length,
+    samples: counted.map((r) => r.ms),
+    stats,
+  };
+}
+
+function runAll(probes, samples, timeouts, signal) {
+  return Promise.all(probes.map((p) => runProbe(p, samples, timeouts, signal)));
+}
+
+// Label every failed request once all results are in, so each can be judged against the others
+function labelFailures({ probes, registry, doh, online, csp }) {
+  const all = Object.values(probes);
+  for (const r of all) {
+    if (r.ok) continue;
+    const othersOk = all.some((o) => o.id !== r.id && o.ok);
+    r.failure = classifyFailure(r, { url: registry.get(r.id)?.url, online, csp, othersOk });
+  }
+  for (const r of doh?.results || []) {
+    if (!r.ok) r.failure = classifyFailure(r, { url: doh.resolver, online, csp, othersOk: all.some((o) => o.ok) });
+  }
+}
+
+/**
+ * Content-verified probes decide when they got an answer; the old timing
+ * heuristic (slow/failing 204 while transport works) is only the fallback.
+ */
+function judgeCaptive({ results, registry, online, transportOk }) {
+  if (results.length && !settled(results).length) {
+    return { suspected: null, evidence: null, checks: [], note: "Stopped before the captive portal checks finished." };
+  }
+  const checks = settled(results).map((r) => {
+    const probe = registry.get(r.id);
+    if (probe.expect) {
+      return { id: r.id, label: probe.label, verdict: r.verdict, detail: r.detail, redirectUrl: r.verdict === "redirected" ? r.finalUrl : null };
+    }
+    const slow = probe.slowMs != null && r.ms >= probe.slowMs;
+    return {
+      id: r.id,
+      label: probe.label,
+      verdict: r.ok ? (slow ? "slow" : "fast") : "unreachable",
+      detail: r.ok ? `Completed in ${r.ms} ms${slow ? ` (≥ ${probe.slowMs} ms)` : ""}.` : `Request failed (${r.error || "Error"}).`,
+      redirectUrl: null,
+    };
+  });
+
+  const intercepted = checks.find((c) => c.verdict === "mismatch" || c.verdict === "redirected");
+  if (intercepted) {
+    return { suspected: true, evidence: "content", checks, note: `Login/intercept page detected — ${intercepted.detail}` };
+  }
+  if (checks.some((c) => c.verdict === "match")) {
+    return { suspected: false, evidence: "content", checks, note: "Connectivity check returned exactly the expected response." };
+  }
+
+  const timingHit = checks.some((c) => c.verdict === "slow" || c.verdict === "unreachable");
+  const suspected = online && transportOk && timingHit;
+  return {
+    suspected,
+    evidence: "timing",
+    checks,
+    note: suspected ? "Possible Wi-Fi login intercept detected (timing only — content check unavailable)." : "No strong captive portal signals.",
+  };
+}
+
+// Combine DoH evidence with the plain-fetch heuristic into the DNS tile verdict.
+// Domain probes that all failed along with transport say nothing about DNS either way.
+function judgeDns({ doh, dnsLikelyBroken, domainsFailed }) {
+  if (doh?.verdict === "hijacked") {
+    return { ok: false, verdict: "hijacked", evidence: "doh", note: `Answers don't match known records — ${doh.note}` };
+  }
+  if (doh?.verdict === "failing") {
+    return { ok: false, verdict: "failing", evidence: "doh", note: doh.note };
+  }
+  if (doh?.verdict === "ok" && dnsLikelyBroken) {
+    // DoH resolves fine but the system resolver path doesn't: the classic APN / Private DNS case
+    return {
+      ok: false,
+      verdict: "failing",
+      evidence: "doh",
+      note: "DoH resolves correctly, but domain probes via the system resolver fail — APN/VPN/Private DNS likely.",
+    };
+  }
+  if (doh?.verdict === "ok" && domainsFailed) {
+    return {
+      ok: null,
+      verdict: null,
+      evidence: "doh",
+      note: "DoH resolves correctly, but every domain and transport probe failed — the connection, not DNS, looks at fault.",
+    };
+  }
+  if (doh?.verdict === "ok") {
+    return { ok: true, verdict: "ok", evidence: "doh", note: doh.note };
+  }
+  if (dnsLikelyBroken) {
+    return { ok: false, verdict: "failing", evidence: "heuristic", note: "Transport reachable but domains fail — DNS/APN/VPN/Private DNS likely." };
+  }
+  return domainsFailed
+    ? { ok: null, verdict: null, evidence: "heuristic", note: "Every domain probe failed, and so did transport — DNS can't be judged while nothing gets through." }
+    : { ok: true, verdict: null, evidence: "heuristic", note: "DNS looks OK from probe timing, but DoH verification was unavailable." };
+}
+
+function firstUrlWith(registry, evidence) {
+  return registry.list().find((p) => p.evidence.includes(evidence))?.url;
+}
+
+// Requests the user stopped say nothing about the network, so no judge counts them
+function settled(results) {
+  return results.filter((r) => !r.aborted);
+}
+
+function withEvidence(results, registry, kind) {
+  return settled(results).filter((r) => registry.get(r.id)?.evidence.includes(kind));
+}
+
+/**
+ * Run one diagnostic pass. Framework-agnostic: safe to call from the UI,
+ * a kiosk page, a bookmarklet or a test harness.
+ *
+ * @param {ScanOptions} [options]
+ * @returns {Promise<ScanResult>}
+ */
+export async function runScan({
+  label = "scan",
+  externalChecksEnabled = false,
+  registry = defaultRegistry,
+  adaptiveTimeouts = true,
+  samples = 1,
+  burst = false,
+  download = false,
+  upload = false,
+  dnsVerification = true,
+  nxdomainCheck = true,
+  trace = false,
+  interception = true,
+  quicCheck = true,
+  mtu = true,
+  ipFamily = false,
+  stun = false,
+  websocket = false,
+  responsiveness = false,
+  onProgress,
+  signal,
+} = {}) {
+  const steps = scanSteps({ externalChecksEnabled, trace, interception, quicCheck, mtu, ipFamily, stun, websocket, burst, download, upload, responsiveness });
+  const step = (id) => {
+    const index = steps.findIndex((s) => s.id === id);
+    if (index >= 0) onProgress?.(index, steps[index]);
+  };
+
+  step("init");
+  const online = isOnline();
+  const networkHint = getNetworkHint();
+  const timeouts = createTimeoutPolicy({ networkHint, adaptive: adaptiveTimeouts });
+  // Caller-supplied timeoutMs wins over the policy
+  const timed = (opts, defaultMs) => ({ timeoutMs: timeouts.scale(defaultMs), ...(opts === true ? {} : opts) });
+  const live = () => !signal?.aborted;
+
+  // Privacy mode output
+  if (!externalChecksEnabled) {
+    step("compile");
+    return {
+      label,
+      timestamp: new Date().toISOString(),
+      online,
+      networkHint,
+      probes: {},
+      reachability: null,
+      timeouts: timeouts.snapshot(),
+      aborted: false,
+      latency: {
+        bestMs: null,
+        medianMs: null,
+        worstMs: null,
+        samplesPerProbe: 0,
+        phases: summarizePhases([]),
+        note: "External diagnostics are disabled.",
+      },
+      captive: { suspected: null, evidence: null, checks: [], note: "Disabled (Privacy Mode)." },
+      dns: { ok: null, verdict: null, evidence: null, nxdomainRedirect: null, domainProbes: null, note: "Disabled (Privacy Mode)." },
+      doh: null,
+      nxdomain: null,
+      trace: null,
+      interception: null,
+      quic: null,
+      mtu: null,
+      ipFamily: null,
+      stun: null,
+      websocket: null,
+      loss: null,
+      throughput: { download: null, upload: null, asymmetry: null },
+      responsiveness: null,
+      device: null,
+    };
+  }
+
+  step("latency");
+  const csp = createCspMonitor();
+  const deviceMonitor = createDeviceMonitor();
+  // Both listeners must come off even when a probe throws
+  let device = null;
+  try {
+    // Latency + transport probes together; captive and DNS follow so they don't compete for the link
+    const primary = await runAll([...registry.byCategory("latency"), ...registry.byCategory("transport")], samples, timeouts, signal);
+    // The quickest cold request re-bases every later timeout on what this link actually does
+    const firstDone = primary.filter((p) => p.ok).map((p) => p.stats?.coldMs ?? p.ms);
+    if (firstDone.length) timeouts.observe(Math.min(...firstDone));
+
+    step("captive");
+    const captiveResults = await runAll(registry.byCategory("captive"), samples, timeouts, signal);
+
+    // DoH JSON answers are real evidence; the probe heuristic is only a fallback
+    step("dns");
+    // One round trip on this link, for the system-resolver NXDOMAIN timing: the TCP
+    // connect phase where Timing-Allow-Origin exposes it, else a quarter of a cold request
+    const coldPhases = summarizePhases(primary.map((p) => p.timing));
+    const rttMs = coldPhases.connectMs || (firstDone.length ? Math.round(Math.min(...firstDone) / 4) : null);
+    const [doh, nxdomain, dnsResults] = await Promise.all([
+      dnsVerification ? runDnsVerification({ ...timed(dnsVerification, DEFAULT_DNS_VERIFICATION.timeoutMs), signal }) : null,
+      nxdomainCheck ? runNxdomainCheck({ rttMs, ...timed(nxdomainCheck, DEFAULT_NXDOMAIN_CHECK.timeoutMs), signal }) : null,
+      runAll(registry.byCategory("dns"), samples, timeouts, signal),
+    ]);
+
+    // Evidence is declared per probe, not per category: a registered captive or
+    // DNS probe can vouch for transport, domains or latency like any other
+    const all = [...primary, ...captiveResults, ...dnsResults];
+
+    // Per-probe medians; a single slow handshake no longer dominates
+    const perProbeMs = withEvidence(all, registry, "latency")
+      .map((p) => p.ms)
+      .filter((v) => typeof v === "number");
+    const bestMs = perProbeMs.length ? Math.min(...perProbeMs) : null;
+    const worstMs = perProbeMs.length ? Math.max(...perProbeMs) : null;
+    const medianMs = median(perProbeMs);
+
+    const transportOk = withEvidence(all, registry, "transport").some((p) => p.ok);
+    const captive = judgeCaptive({ results: captiveResults, registry, online, transportOk });
+
+    // DNS heuristic:
+    // - Domain evidence: any probe that needs name resolution succeeded
+    // - Transport evidence: any transport probe completed
+    const domainProbes = withEvidence(all, registry, "domain");
+    const domainOk = domainProbes.some((p) => p.ok);
+    const dnsLikelyBroken = transportOk && !domainOk;
+    const dns = {
+      ...judgeDns({ doh, dnsLikelyBroken, domainsFailed: domainProbes.length > 0 && !domainOk }),
+      nxdomainRedirect: nxdomain?.redirected ?? null,
+      // Counted for the diagnosis confidence ("3 of 3 domain probes failed")
+      domainProbes: { total: domainProbes.length, failed: domainProbes.filter((p) => !p.ok).length },
+    };
+
+    let traceResult = null;
+    if (trace && live()) {
+      step("trace");
+      traceResult = await readTrace({ ...timed(trace, DEFAULT_TRACE.timeoutMs), signal });
+    }
+
+    let interceptionResult = null;
+    if (interception && live()) {
+      step("intercept");
+      interceptionResult = await runInterceptionCheck({ ...timed(interception, DEFAULT_INTERCEPTION_CHECK.timeoutMs), trace: traceResult, signal });
+    }
+
+    let quic = null;
+    if (quicCheck && live()) {
+      step("quic");
+      const targets = registry.list().filter((p) => p.advertisesH3 && !p.expect);
+      quic = await runQuicCheck({ ...timed(quicCheck, DEFAULT_QUIC_CHECK.timeoutMs), targets, traceHttp: traceResult?.http ?? null, signal });
+    }
+
+    let mtuResult = null;
+    if (mtu && live()) {
+      step("mtu");
+      mtuResult = await runMtuLadder({ ...timed(mtu, DEFAULT_MTU_LADDER.timeoutMs), signal });
+    }
+
+    let ipFamilyResult = null;
+    if (ipFamily && live()) {
+      step("ipFamily");
+      ipFamilyResult = await runIpFamilyCheck({ ...timed(ipFamily, DEFAULT_IP_FAMILY_CHECK.timeoutMs), signal });
+    }
+
+    let stunResult = null;
+    if (stun && live()) {
+      step("stun");
+      stunResult = await runStunCheck({ ...(stun === true ? {} : stun), signal });
+    }
+
+    // Quiet link on purpose: the idle gaps are the measurement
+    let websocketResult = null;
+    if (websocket && live()) {
+      step("websocket");
+      websocketResult = await runWebSocketProbe({ ...(websocket === true ? {} : websocket), signal });
+    }
+
+    // Burst last: it deliberately loads the link and would skew the probes above
+    let loss = null;
+    if (burst && live()) {
+      step("loss");
+      const opts = timed(burst, DEFAULT_BURST.timeoutMs);
+      const url = opts.url || firstUrlWith(registry, "transport");
+      if (url) loss = await runBurst({ ...opts, url, signal });
+    }
+
+    // Throughput saturates the link, so it runs after everything latency-sensitive
+    if ((download || upload) && live()) step("throughput");
+    const downloadResult = download && live() ? await runDownloadTest({ ...(download === true ? {} : download), signal }) : null;
+    const uploadResult = upload && live() ? await runUploadTest({ ...(upload === true ? {} : upload), signal }) : null;
+    const throughput = {
+      download: downloadResult,
+      upload: uploadResult,
+      asymmetry: assessAsymmetry(downloadResult, uploadResult),
+    };
+
+    let responsivenessResult = null;
+    if (responsiveness && live()) {
+      step("responsiveness");
+      const opts = responsiveness === true ? {} : responsiveness;
+      const url = opts.url || firstUrlWith(registry, "latency");
+      const loadDownload = opts.download || (download && download !== true ? download : {});
+      if (url) responsivenessResult = await runResponsivenessTest({ ...opts, url, download: loadDownload, signal });
+    }
+
+    step("compile");
+    const probes = {};
+    for (const r of all) probes[r.id] = r;
+    // Going offline mid-scan explains failures as well as starting offline does
+    labelFailures({ probes, registry, doh, online: online && isOnline(), csp });
+    device = await deviceMonitor.stop();
+    const phases = summarizePhases(Object.values(probes).map((r) => r.timing));
+    const reached = settled(Object.values(probes));
+
+    return {
+      label,
+      timestamp: new Date().toISOString(),
+      online,
+      networkHint,
+      probes,
+      reachability: { total: reached.length, ok: reached.filter((r) => r.ok).length, failed: reached.filter((r) => !r.ok).length },
+      timeouts: timeouts.snapshot(),
+      aborted: !live(),
+      latency: {
+        bestMs,
+        medianMs,
+        worstMs,
+        samplesPerProbe: Math.max(1, Math.floor(samples)),
+        phases,
+        note:
+          medianMs != null && medianMs >= 900
+            ? "Very high latency — likely congestion or stalled session."
+            : medianMs != null && medianMs >= 450
+              ? "Elevated latency — possible congestion."
+              : "Latency looks normal.",
+      },
+      captive,
+      dns,
+      doh,
+      nxdomain,
+      trace: traceResult,
+      interception: interceptionResult,
+      quic,
+      mtu: mtuResult,
+      ipFamily: ipFamilyResult,
+      stun: stunResult,
+      websocket: websocketResult,
+      loss,
+      throughput,
+      responsiveness: responsivenessResult,
+      device,
+    };
+  } finally {
+    csp.stop();
+    if (!device) deviceMonitor.stop();
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Small numeric helpers for latency samples. Inputs are plain arrays of ms.
+ */
+
+export function median(values) {
+  return percentile(values, 50);
+}
+
+// Nearest-rank percentile; null for an empty set
+export function percentile(values, p) {
+  const sorted = values.filter((v) => typeof v === "number").sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, Math.min(sorted.length - 1, rank - 1))];
+}
+
+// Mean absolute difference between consecutive samples (RFC 3550-style jitter)
+export function jitter(values) {
+  const v = values.filter((x) => typeof x === "number");
+  if (v.length < 2) return null;
+  let sum = 0;
+  for (let i = 1; i < v.length; i++) sum += Math.abs(v[i] - v[i - 1]);
+  return Math.round(sum / (v.length - 1));
+}
+
+/**
+ * Summarize an ordered list of samples. The first sample pays for DNS + TCP + TLS,
+ * so when there is more than one it is reported separately as `coldMs` and the
+ * spread is computed over the warm follow-ups only.
+ */
+export function summarizeSamples(samples) {
+  const values = samples.filter((v) => typeof v === "number");
+  if (!values.length) {
+    return { count: 0, coldMs: null, minMs: null, medianMs: null, p90Ms: null, maxMs: null, jitterMs: null };
+  }
+  const warm = values.length > 1 ? values.slice(1) : values;
+  return {
+    count: values.length,
+    coldMs: values.length > 1 ? values[0] : null,
+    minMs: Math.min(...warm),
+    medianMs: median(warm),
+    p90Ms: percentile(warm, 90),
+    maxMs: Math.max(...warm),
+    jitterMs: jitter(warm),
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * UDP reachability and NAT behaviour via WebRTC (opt-in).
+ *
+ * Every other probe is TCP through fetch(); calls (WhatsApp, Zoom, Meet) ride
+ * UDP. ICE gathering against STUN servers tells us whether UDP gets out at
+ * all (a server-reflexive candidate comes back) and, with two servers, whether
+ * the NAT keeps one public mapping per socket (cone) or opens a new one per
+ * destination (symmetric — peer-to-peer fails and calls must be relayed).
+ * Addresses are only compared, never kept.
+ */
+
+export const STUN_SERVERS = ["stun:stun.l.google.com:19302", "stun:stun.cloudflare.com:3478"];
+
+export const DEFAULT_STUN_CHECK = {
+  servers: STUN_SERVERS,
+  timeoutMs: 5000,
+};
+
+/**
+ * Parse an SDP candidate line ("candidate:… 1 udp 2122260223 192.0.2.1 54321 typ host raddr … rport …").
+ * @returns {{ protocol: string, address: string, port: number, type: string, relatedAddress: string|null, relatedPort: number|null }|null}
+ */
+export function parseCandidate(line) {
+  const parts = String(line || "")
+    .replace(/^a=/, "")
+    .trim()
+    .split(/\s+/);
+  if (parts.length < 8 || parts[6] !== "typ") return null;
+  const field = (name) => {
+    const i = parts.indexOf(name);
+    return i > 0 ? parts[i + 1] : null;
+  };
+  const rport = field("rport");
+  return {
+    protocol: parts[2].toLowerCase(),
+    address: parts[4],
+    port: Number(parts[5]),
+    type: parts[7],
+    relatedAddress: field("raddr"),
+    relatedPort: rport != null ? Number(rport) : null,
+  };
+}
+
+// Browsers that hide local addresses (mDNS) report raddr 0.0.0.0 / rport 0
+function knownBase(c) {
+  const { relatedAddress: ip, relatedPort: port } = c;
+  if (!ip || !port || ip === "0.0.0.0" || ip === "::" || ip.endsWith(".local")) return null;
+  return `${ip}:${port}`;
+}
+
+/**
+ * Judge gathered candidates: verdict open | blocked | unknown, nat cone | symmetric | null.
+ * Only mappings of the same local socket (a known raddr:rport) are compared, so
+ * dual-stack or multi-interface devices don't look symmetric. When the browser
+ * hides the socket, one mapping per address family still reads as cone; more
+ * than one can't be told apart from separate interfaces, so nat stays null.
+ */
+export function classifyNat(candidates) {
+  const udp = candidates.filter((c) => c.protocol === "udp");
+  const srflx = udp.filter((c) => c.type === "srflx");
+  const hosts = udp.filter((c) => c.type === "host");
+
+  const verdict = srflx.length ? "open" : hosts.length ? "blocked" : "unknown";
+
+  let nat = null;
+  if (srflx.length) {
+    const bySocket = new Map();
+    for (const c of srflx) {
+      const family = c.address.includes(":") ? "v6" : "v4";
+      const base = knownBase(c);
+      const key = `${family} ${base || "?"}`;
+      if (!bySocket.has(key)) bySocket.set(key, { known: !!base, mappings: new Set() });
+      bySocket.get(key).mappings.add(`${c.address}:${c.port}`);
+    }
+    const groups = [...bySocket.values()];
+    if (groups.some((g) => g.known && g.mappings.size > 1)) nat = "symmetric";
+    else if (groups.every((g) => g.known || g.mappings.size === 1)) nat = "cone";
+  }
+
+  return { verdict, nat };
+}
+
+function gather(servers, timeoutMs, signal) {
+  return new Promise((resolve) => {
+    const pc = new RTCPeerConnection({ iceServers: servers.map((urls) => ({ urls })) });
+    const candidates = [];
+    const answered = new Set();
+    const finish = () => {
+      clearTimeout(id);
+      signal?.removeEventListener("abort", finish);
+      pc.close();
+      resolve({ candidates, answered, complete: pc.iceGatheringState === "complete" });
+    };
+    const id = setTimeout(finish, timeoutMs);
+    // Stopping ends gathering early with whatever has come back so far
+    signal?.addEventListener("abort", finish);
+
+    pc.onicecandidate = (e) => {
+      if (!e.candidate) return finish();
+      const c = parseCandidate(e.candidate.candidate);
+      if (!c) return;
+      candidates.push(c);
+      // Which server produced it (Chrome/Safari); Firefox leaves this unset
+      const url = e.url || e.candidate.url;
+      if (c.type === "srflx" && url) answered.add(url);
+    };
+
+    // A data channel is enough to start ICE gathering; no peer is ever contacted
+    pc.createDataChannel("medic");
+    pc.createOffer()
+      .then((offer) => pc.setLocalDescription(offer))
+      .catch(finish);
+  });
+}
+
+/**
+ * @param {{ servers?: string[], timeoutMs?: number, signal?: AbortSignal }} [options]
+ */
+export async function runStunCheck({ servers = DEFAULT_STUN_CHECK.servers, timeoutMs = DEFAULT_STUN_CHECK.timeoutMs, signal } = {}) {
+  if (typeof RTCPeerConnection === "undefined") {
+    return { supported: false, verdict: "unknown", nat: null, servers: [], ms: null, note: "WebRTC isn't available in this browser." };
+  }
+
+  const start = performance.now();
+  const { candidates, answered, complete } = await gather(servers, timeoutMs, signal);
+  const ms = Math.round(performance.now() - start);
+  const { verdict, nat } = classifyNat(candidates);
+
+  // A single server can't reveal per-destination mappings. Browsers drop duplicate
+  // candidates, so two servers agreeing shows up as just one srflx — hence "likely".
+  const comparable = servers.length > 1;
+
+  let note;
+  if (verdict === "blocked") {
+    note = `No STUN server answered within ${complete ? ms : timeoutMs} ms — outbound UDP looks blocked. Calls will only work if the app can fall back to TCP/TLS relays.`;
+  } else if (verdict === "unknown") {
+    note = "The browser produced no usable ICE candidates (WebRTC restricted by policy or an extension).";
+  } else if (nat === "symmetric") {
+    note = "UDP works, but the NAT picks a new public port per destination (symmetric) — peer-to-peer calls fail and must be relayed, often with worse quality.";
+  } else if (nat == null && comparable) {
+    note = "UDP works. The browser hides which local socket each public mapping belongs to, so a symmetric NAT can't be told apart from separate interfaces — NAT type unknown.";
+  } else {
+    note = comparable
+      ? "UDP works and the NAT likely keeps one public mapping per socket (cone) — calls can connect directly."
+      : "UDP works. Configure a second STUN server to compare NAT mappings.";
+  }
+
+  return {
+    supported: true,
+    verdict,
+    nat: comparable ? nat : null,
+    servers: servers.map((url) => ({ url, answered: answered.has(url) })),
+    ms,
+    note,
+  };
+}
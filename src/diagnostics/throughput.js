@@ -0,0 +1,251 @@
+import { linkedTimeout } from "./fetch.js";
+
+/**
+ * Opt-in throughput tests.
+ *
+ * Unlike the latency probes these read response bodies, so they need a
+ * CORS-readable endpoint — by default a static payload on the app's own origin
+ * (emitted at build time and served in dev by standins/).
+ */
+
+// Flat plateau in this band (Mbps) is the typical shape of a carrier "plan cap" throttle
+export const THROTTLE_BAND_MBPS = { min: 0.128, max: 1 };
+
+export const DEFAULT_DOWNLOAD = {
+  url: "/medic/payload.bin",
+  bytes: 2_000_000,
+  maxMs: 8000,
+  windowMs: 500,
+};
+
+export const DEFAULT_UPLOAD = {
+  url: "/medic/upload",
+  bytes: 1_000_000,
+  maxMs: 10000,
+};
+
+// Downlink this many times faster than uplink is called out (mobile is normally ~3–5×)
+export const ASYMMETRY_RATIO = 10;
+
+export function toMbps(bytes, ms) {
+  if (!(ms > 0)) return null;
+  return Math.round(((bytes * 8) / (ms / 1000) / 1e6) * 100) / 100;
+}
+
+/**
+ * Bucket cumulative progress points ({ t, bytes }, t relative to first byte)
+ * into fixed windows and return the Mbps achieved in each.
+ */
+export function windowRates(points, windowMs = DEFAULT_DOWNLOAD.windowMs) {
+  if (points.length < 2) return [];
+  const end = points[points.length - 1].t;
+  const rates = [];
+  let idx = 0;
+  let prevBytes = 0;
+  for (let w = windowMs; w <= end; w += windowMs) {
+    while (idx < points.length && points[idx].t <= w) idx++;
+    const bytesAt = idx > 0 ? points[idx - 1].bytes : 0;
+    rates.push(toMbps(bytesAt - prevBytes, windowMs));
+    prevBytes = bytesAt;
+  }
+  return rates;
+}
+
+/**
+ * A throttled link looks like a ruler: after slow start, every window delivers
+ * about the same low rate. Normal congestion is bursty instead.
+ */
+export function detectPlateau(rates, band = THROTTLE_BAND_MBPS) {
+  // Drop slow-start windows
+  const steady = rates.slice(Math.ceil(rates.length * 0.2));
+  if (steady.length < 4) return { plateau: false, throttled: false, plateauMbps: null, cv: null };
+
+  const mean = steady.reduce((a, b) => a + b, 0) / steady.length;
+  const variance = steady.reduce((a, b) => a + (b - mean) ** 2, 0) / steady.length;
+  const cv = mean > 0 ? Math.sqrt(variance) / mean : null;
+  const plateau = cv != null && cv <= 0.25;
+  const plateauMbps = Math.round(mean * 100) / 100;
+
+  return {
+    plateau,
+    throttled: plateau && plateauMbps >= band.min && plateauMbps <= band.max,
+    plateauMbps,
+    cv: cv == null ? null : Math.round(cv * 100) / 100,
+  };
+}
+
+/**
+ * Download a payload of known size and measure throughput over time.
+ * Stops early at `maxMs` and reports what arrived by then; stopped through
+ * `signal`, it reports `aborted` instead of a partial rate.
+ */
+export async function runDownloadTest({
+  url = DEFAULT_DOWNLOAD.url,
+  bytes: expectedBytes = DEFAULT_DOWNLOAD.bytes,
+  maxMs = DEFAULT_DOWNLOAD.maxMs,
+  windowMs = DEFAULT_DOWNLOAD.windowMs,
+  signal,
+} = {}) {
+  const link = linkedTimeout(maxMs, signal);
+  const start = performance.now();
+
+  let received = 0;
+  let firstByteAt = null;
+  const points = [];
+
+  try {
+    const res = await fetch(url, {
+      method: "GET",
+      cache: "no-store",
+      credentials: "omit",
+      referrerPolicy: "no-referrer",
+      signal: link.signal,
+    });
+    if (!res.ok) throw Object.assign(new Error(`HTTP ${res.status}`), { name: "HttpError" });
+
+    if (res.body?.getReader) {
+      const reader = res.body.getReader();
+      try {
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          const now = performance.now();
+          if (firstByteAt == null) firstByteAt = now;
+          received += value.byteLength;
+          points.push({ t: now - firstByteAt, bytes: received });
+        }
+      } catch (e) {
+        // Hitting maxMs mid-stream is a normal end of test; being stopped is not
+        if (!link.timedOut()) throw e;
+      }
+    } else {
+      const buf = await res.arrayBuffer();
+      firstByteAt = start;
+      received = buf.byteLength;
+    }
+  } catch (e) {
+    return {
+      ok: false,
+      url,
+      expectedBytes,
+      bytes: received,
+      ms: Math.round(performance.now() - start),
+      mbps: null,
+      error: e?.name || "FetchError",
+      aborted: link.aborted(),
+      note: link.aborted() ? "Download test stopped." : "Download test failed — endpoint unreachable or not CORS-readable.",
+    };
+  } finally {
+    link.done();
+  }
+
+  const end = performance.now();
+  const transferMs = firstByteAt != null ? end - firstByteAt : end - start;
+  const rates = windowRates(points, windowMs);
+  const plateau = detectPlateau(rates);
+  const mbps = toMbps(received, transferMs);
+
+  return {
+    ok: true,
+    url,
+    expectedBytes,
+    bytes: received,
+    complete: received >= expectedBytes,
+    ms: Math.round(end - start),
+    ttfbMs: firstByteAt != null ? Math.round(firstByteAt - start) : null,
+    mbps,
+    rates,
+    ...plateau,
+    note: plateau.throttled
+      ? `Throughput is flat at ~${plateau.plateauMbps} Mbps — looks like a plan-cap throttle.`
+      : mbps != null && mbps < 1
+        ? "Download is slow, but not the flat shape typical of throttling."
+        : "Download throughput looks normal.",
+  };
+}
+
+// crypto.getRandomValues is capped at 64 KiB per call
+function randomPayload(size) {
+  const out = new Uint8Array(size);
+  for (let i = 0; i < size; i += 65536) {
+    crypto.getRandomValues(out.subarray(i, Math.min(size, i + 65536)));
+  }
+  return out;
+}
+
+/**
+ * POST a generated payload and measure upload throughput.
+ *
+ * fetch() exposes no upload progress, so the figure covers request start to
+ * response and slightly understates the real uplink.
+ */
+export async function runUploadTest({ url = DEFAULT_UPLOAD.url, bytes = DEFAULT_UPLOAD.bytes, maxMs = DEFAULT_UPLOAD.maxMs, signal } = {}) {
+  const body = randomPayload(bytes);
+  const link = linkedTimeout(maxMs, signal);
+  const start = performance.now();
+
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      cache: "no-store",
+      credentials: "omit",
+      referrerPolicy: "no-referrer",
+      headers: { "Content-Type": "application/octet-stream" },
+      body,
+      signal: link.signal,
+    });
+    if (!res.ok) throw Object.assign(new Error(`HTTP ${res.status}`), { name: "HttpError" });
+
+    const ms = performance.now() - start;
+    const mbps = toMbps(bytes, ms);
+    return {
+      ok: true,
+      url,
+      bytes,
+      ms: Math.round(ms),
+      mbps,
+      note: mbps != null && mbps < 0.5 ? "Upload is very slow — media uploads and voice notes will struggle." : "Upload throughput looks normal.",
+    };
+  } catch (e) {
+    return {
+      ok: false,
+      url,
+      bytes,
+      ms: Math.round(performance.now() - start),
+      mbps: null,
+      error: e?.name || "FetchError",
+      // Hit maxMs (our own abort) rather than stopped by the caller
+      timedOut: link.timedOut(),
+      aborted: link.aborted(),
+      note: link.aborted()
+        ? "Upload test stopped."
+        : link.timedOut()
+          ? `Upload did not finish within ${maxMs / 1000} s.`
+          : "Upload test failed — endpoint unreachable or rejected the request.",
+    };
+  } finally {
+    link.done();
+  }
+}
+
+/**
+ * Compare downlink and uplink. A timed-out upload with a working download
+ * counts as asymmetric too — that's exactly the "browsing works, uploads fail" case.
+ * A test the user stopped has no verdict.
+ */
+export function assessAsymmetry(download, upload, ratioThreshold = ASYMMETRY_RATIO) {
+  if (!download?.ok || download.mbps == null || !upload || upload.aborted || download.aborted) return null;
+
+  if (!upload.ok) {
+    return upload.timedOut ? { asymmetric: true, ratio: null, note: "Downloads work but the upload never completed." } : null;
+  }
+  if (!(upload.mbps > 0)) return null;
+
+  const ratio = Math.round((download.mbps / upload.mbps) * 10) / 10;
+  const asymmetric = ratio >= ratioThreshold;
+  return {
+    asymmetric,
+    ratio,
+    note: asymmetric ? `Downlink is ~${ratio}× faster than uplink.` : "Uplink and downlink are in a normal ratio.",
+  };
+}
@@ -0,0 +1,85 @@
+import { clamp } from "./fetch.js";
+import { DEFAULT_TIMEOUT_MS } from "./probes.js";
+
+/**
+ * Adaptive probe timeouts.
+ *
+ * A fixed 2.5 s turns every request on a genuinely slow 2G/3G link into a
+ * "failure", and makes a dead fibre link take ages to call. The policy starts
+ * from the browser's connection hint and, once the first probe completes,
+ * re-bases on what the link actually did. Module defaults are scaled by the
+ * same factor so their relative tuning (burst is short, MTU is long) survives.
+ */
+
+export const TIMEOUT_BOUNDS = { minMs: 1200, maxMs: 12000 };
+
+// Multiplier on the base timeout per Network Information effectiveType
+export const EFFECTIVE_TYPE_FACTORS = { "slow-2g": 4, "2g": 3, "3g": 1.6, "4g": 1 };
+
+// A cold request is ~4 round trips (DNS, TCP, TLS, request); allow twice that
+const HINT_RTT_MULTIPLIER = 8;
+
+// Give later requests this many times the first completed request, plus headroom
+const OBSERVED_MULTIPLIER = 4;
+const OBSERVED_HEADROOM_MS = 500;
+
+/**
+ * @param {{ networkHint?: Object|null, adaptive?: boolean, baseMs?: number, minMs?: number, maxMs?: number }} [options]
+ */
+export function createTimeoutPolicy({
+  networkHint = null,
+  adaptive = true,
+  baseMs = DEFAULT_TIMEOUT_MS,
+  minMs = TIMEOUT_BOUNDS.minMs,
+  maxMs = TIMEOUT_BOUNDS.maxMs,
+} = {}) {
+  const factor = EFFECTIVE_TYPE_FACTORS[networkHint?.effectiveType] ?? 1;
+  const rttMs = typeof networkHint?.rtt === "number" && networkHint.rtt > 0 ? networkHint.rtt * HINT_RTT_MULTIPLIER : 0;
+  // The hint only ever lengthens: browsers cap and round rtt, so it's too coarse to shorten on
+  const hintMs = adaptive && networkHint?.supported ? Math.round(clamp(Math.max(baseMs * factor, rttMs), baseMs, maxMs)) : null;
+  let observedMs = null;
+  let firstMs = null;
+
+  const policy = {
+    get timeoutMs() {
+      return observedMs ?? hintMs ?? baseMs;
+    },
+    get source() {
+      return observedMs != null ? "observed" : hintMs != null && hintMs !== baseMs ? "hint" : "default";
+    },
+    // Only the first completed request re-bases the policy
+    observe(ms) {
+      if (!adaptive || observedMs != null || typeof ms !== "number") return policy;
+      firstMs = ms;
+      observedMs = Math.round(clamp(ms * OBSERVED_MULTIPLIER + OBSERVED_HEADROOM_MS, minMs, maxMs));
+      return policy;
+    },
+    // Scale a module's own default by how far the policy moved from the base
+    scale(defaultMs) {
+      if (!adaptive) return defaultMs;
+      return Math.round(clamp((defaultMs * policy.timeoutMs) / baseMs, minMs, maxMs));
+    },
+    snapshot() {
+      return {
+        adaptive,
+        source: policy.source,
+        baseMs,
+        hintMs,
+        firstMs,
+        timeoutMs: policy.timeoutMs,
+        effectiveType: networkHint?.supported ? networkHint.effectiveType : null,
+      };
+    },
+  };
+  return policy;
+}
+
+/**
+ * Timeouts and fast failures point at different causes: a hang is loss, a
+ * blackhole or a stalled session; an immediate error is a refusal, DNS or policy.
+ */
+export function describeFailure(r) {
+  if (!r || r.ok) return null;
+  if (r.timedOut) return `Timed out at ${r.timeoutMs} ms`;
+  return `Failed fast after ${r.ms} ms`;
+}
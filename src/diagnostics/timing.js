@@ -0,0 +1,99 @@
+import { median } from "./stats.js";
+
+/**
+ * Resource Timing phase breakdown for probes.
+ *
+ * Cross-origin entries only carry phase detail when the server sends
+ * Timing-Allow-Origin; otherwise everything but start/end is zeroed and we
+ * report `detailed: false`.
+ */
+
+// DNS lookups slower than this (ms) are called out on their own
+export const SLOW_DNS_MS = 400;
+
+export const TIMING_PHASES = ["dns", "connect", "tls", "wait", "download"];
+
+let bufferRaised = false;
+
+// Burst/sampling modes can exceed the default 250-entry buffer
+function ensureBuffer() {
+  if (bufferRaised) return;
+  bufferRaised = true;
+  try {
+    performance.setResourceTimingBufferSize?.(1000);
+  } catch {
+    // ignore
+  }
+}
+
+// Resource Timing and CSP reports name requests by absolute URL
+export function absoluteUrl(url) {
+  try {
+    return new URL(url, typeof location !== "undefined" ? location.href : undefined).href;
+  } catch {
+    return url;
+  }
+}
+
+const phase = (a, b) => (a > 0 && b >= a ? Math.round(b - a) : 0);
+
+/**
+ * Turn a PerformanceResourceTiming entry into phase durations (ms).
+ * TCP connect excludes the TLS handshake, which is reported separately.
+ */
+export function phaseBreakdown(entry) {
+  if (!entry) return null;
+  const detailed = entry.requestStart > 0;
+  const tlsStart = entry.secureConnectionStart > 0 ? entry.secureConnectionStart : null;
+
+  return {
+    detailed,
+    protocol: entry.nextHopProtocol || null,
+    totalMs: Math.round(entry.duration),
+    dnsMs: detailed ? phase(entry.domainLookupStart, entry.domainLookupEnd) : null,
+    connectMs: detailed ? phase(entry.connectStart, tlsStart ?? entry.connectEnd) : null,
+    tlsMs: detailed && tlsStart != null ? phase(tlsStart, entry.connectEnd) : detailed ? 0 : null,
+    waitMs: detailed ? phase(entry.requestStart, entry.responseStart) : null,
+    downloadMs: detailed ? phase(entry.responseStart, entry.responseEnd) : null,
+    // Connection was reused (warm sample) when no DNS/connect happened at all
+    reused: detailed ? entry.connectStart === entry.connectEnd && entry.domainLookupStart === entry.domainLookupEnd : null,
+  };
+}
+
+/**
+ * Find the resource entry for a fetch started at `sinceMs` (performance.now()).
+ * Opaque responses give us no body to await, so poll briefly for the entry.
+ */
+export async function collectResourceTiming(url, sinceMs, { attempts = 5, delayMs = 20 } = {}) {
+  if (typeof performance === "undefined" || typeof performance.getEntriesByName !== "function") return null;
+  ensureBuffer();
+  const name = absoluteUrl(url);
+
+  for (let i = 0; i < attempts; i++) {
+    const entries = performance.getEntriesByName(name, "resource").filter((e) => e.startTime >= sinceMs - 1);
+    if (entries.length) return phaseBreakdown(entries[entries.length - 1]);
+    await new Promise((r) => setTimeout(r, delayMs));
+  }
+  return null;
+}
+
+/**
+ * Roll probe timings into scan-level phase medians and say which phase dominates:
+ * "dns" when lookups are slow, "radio" when every round-trip phase is slow.
+ */
+export function summarizePhases(timings) {
+  const detailed = timings.filter((t) => t?.detailed && !t.reused);
+  if (!detailed.length) return { detailedCount: 0, dnsMs: null, connectMs: null, tlsMs: null, waitMs: null, slowPhase: null };
+
+  const dnsMs = median(detailed.map((t) => t.dnsMs));
+  const connectMs = median(detailed.map((t) => t.connectMs));
+  const tlsMs = median(detailed.map((t) => t.tlsMs));
+  const waitMs = median(detailed.map((t) => t.waitMs));
+
+  // connect and wait are ~1 RTT each: both high means the link itself is slow
+  let slowPhase = null;
+  if (dnsMs != null && dnsMs >= SLOW_DNS_MS && dnsMs >= (connectMs ?? 0) * 2) slowPhase = "dns";
+  else if (connectMs != null && waitMs != null && connectMs >= 300 && waitMs >= 300) slowPhase = "radio";
+
+  return { detailedCount: detailed.length, dnsMs, connectMs, tlsMs, waitMs, slowPhase };
+}
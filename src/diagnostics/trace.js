@@ -0,0 +1,80 @@
+import { readableFetch } from "./fetch.js";
+import { ENDPOINTS } from "./probes.js";
+
+/**
+ * Cloudflare cdn-cgi/trace reader (opt-in).
+ *
+ * The trace endpoint answers with key=value lines describing the connection as
+ * Cloudflare's edge saw it. We keep the routing/protocol fields and drop the
+ * client IP and user agent.
+ */
+
+export const DEFAULT_TRACE = {
+  url: ENDPOINTS.cfTrace,
+  timeoutMs: 2500,
+};
+
+// Edge PoPs you'd expect when the carrier routes sensibly, by visitor country
+export const EXPECTED_COLOS = {
+  SG: ["SIN"],
+  MY: ["KUL", "JHB"],
+  ID: ["CGK", "SUB"],
+  TH: ["BKK"],
+  PH: ["MNL", "CEB"],
+  VN: ["SGN", "HAN"],
+  HK: ["HKG"],
+};
+
+const KEPT_FIELDS = ["colo", "loc", "http", "tls", "sni", "warp", "gateway", "kex"];
+
+export function parseTrace(text) {
+  const out = {};
+  for (const line of (text || "").split("\n")) {
+    const i = line.indexOf("=");
+    if (i > 0) out[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+  }
+  return out;
+}
+
+/**
+ * Fetch and interpret the trace. `routing` is "local" | "detour" | null
+ * (null when we have no expectation for the visitor's country).
+ */
+export async function readTrace({ url = DEFAULT_TRACE.url, timeoutMs = DEFAULT_TRACE.timeoutMs, signal } = {}) {
+  const res = await readableFetch(url, timeoutMs, { maxBodyChars: 2048, signal });
+  if (!res.ok || res.status !== 200) {
+    return {
+      ok: false,
+      ms: res.ms,
+      error: res.error || `HTTP ${res.status}`,
+      note: "Couldn't read the Cloudflare trace (blocked or not CORS-readable).",
+    };
+  }
+
+  const raw = parseTrace(res.body);
+  const fields = Object.fromEntries(KEPT_FIELDS.filter((k) => k in raw).map((k) => [k, raw[k]]));
+  const expected = EXPECTED_COLOS[fields.loc] || null;
+  const routing = expected && fields.colo ? (expected.includes(fields.colo) ? "local" : "detour") : null;
+  const warp = fields.warp && fields.warp !== "off";
+  const gateway = fields.gateway && fields.gateway !== "off";
+
+  const notes = [];
+  if (routing === "detour") {
+    notes.push(`Traffic from ${fields.loc} is served by ${fields.colo} instead of ${expected.join("/")} — the carrier is routing the long way round.`);
+  }
+  if (warp) notes.push("Cloudflare WARP is active on this device.");
+  if (gateway) notes.push("Cloudflare Gateway (a filtering proxy) is intercepting traffic.");
+
+  return {
+    ok: true,
+    ms: res.ms,
+    ...fields,
+    warp,
+    gateway,
+    expectedColos: expected,
+    routing,
+    // What the browser negotiated for this same request (empty unless Timing-Allow-Origin)
+    browserHttp: res.timing?.protocol || null,
+    note: notes.length ? notes.join(" ") : "Routing and protocol look normal.",
+  };
+}
@@ -0,0 +1,50 @@
+import { readableFetch } from "./fetch.js";
+
+/**
+ * Content-verified probes: the probe declares `expect: { status, body }` and we
+ * compare what actually came back. Used where timing alone is ambiguous
+ * (a slow network and a login page both look "slow").
+ */
+
+function snippet(text, max = 80) {
+  if (text == null) return "";
+  const t = text.replace(/\s+/g, " ").trim();
+  return t.length > max ? `${t.slice(0, max)}…` : t;
+}
+
+/**
+ * Compare a readableFetch() result with an expectation.
+ * @returns {{ verdict: "match"|"mismatch"|"redirected"|"unreachable", detail: string }}
+ */
+export function judgeExpectation(res, expect) {
+  if (!res.ok) return { verdict: "unreachable", detail: `Request failed (${res.error || "Error"}).` };
+  if (res.redirected) {
+    return {
+      verdict: "redirected",
+      detail: res.finalUrl && res.type !== "opaqueredirect" ? `Redirected to ${res.finalUrl}.` : "Redirected (target hidden by the browser).",
+    };
+  }
+  const statusOk = expect.status == null || res.status === expect.status;
+  const bodyOk = expect.body == null || res.body.trim() === expect.body;
+  if (statusOk && bodyOk) return { verdict: "match", detail: `Got the expected ${res.status} response.` };
+
+  const got = [`HTTP ${res.status}`, res.contentType, res.body ? `"${snippet(res.body)}"` : "empty body"].filter(Boolean).join(", ");
+  return { verdict: "mismatch", detail: `Expected ${expect.status ?? "any status"} "${expect.body ?? "…"}", got ${got}.` };
+}
+
+/**
+ * Run a probe that has an `expect` block. When the followed request fails,
+ * retry with redirect: "manual" — a cross-origin portal redirect is otherwise
+ * indistinguishable from a dead network.
+ */
+export async function runVerifiedProbe(probe, { signal } = {}) {
+  let res = await readableFetch(probe.url, probe.timeoutMs, { headers: probe.headers, signal });
+  if (!res.ok && !res.timedOut && !res.aborted) {
+    const manual = await readableFetch(probe.url, probe.timeoutMs, { headers: probe.headers, redirect: "manual", signal });
+    if (manual.ok && manual.redirected) res = manual;
+  }
+  const { verdict, detail } = judgeExpectation(res, probe.expect);
+  // Drop the body: the verdict and detail are all callers need
+  const { body: _body, ...rest } = res;
+  return { ...rest, verdict, detail };
+}
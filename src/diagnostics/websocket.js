@@ -0,0 +1,150 @@
+import { jitter, median } from "./stats.js";
+
+/**
+ * Long-lived connection probe (opt-in).
+ *
+ * Opens a WebSocket to an echo endpoint, measures round trips, then goes quiet
+ * for increasing stretches and checks the connection still echoes. Carrier NAT
+ * silently forgets idle flows — the TCP socket looks open but nothing arrives —
+ * so a missing echo, not a close event, is the usual sign of a drop.
+ */
+
+export const DEFAULT_WEBSOCKET = {
+  // Resolved against the page origin; must match WEBSOCKET_PATH in standins/websocket.js
+  path: "/medic/ws",
+  pings: 5,
+  // Idle gaps (ms) between messages, tried in order until one fails
+  idleSteps: [5000, 15000, 30000],
+  echoTimeoutMs: 5000,
+  connectTimeoutMs: 5000,
+};
+
+export function defaultWebSocketUrl(path = DEFAULT_WEBSOCKET.path) {
+  if (typeof location === "undefined") return null;
+  return `${location.protocol === "https:" ? "wss:" : "ws:"}//${location.host}${path}`;
+}
+
+function open(url, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    const id = setTimeout(() => {
+      ws.close();
+      reject(Object.assign(new Error("connect timeout"), { name: "TimeoutError" }));
+    }, timeoutMs);
+    ws.onopen = () => {
+      clearTimeout(id);
+      resolve(ws);
+    };
+    ws.onerror = () => {
+      clearTimeout(id);
+      reject(Object.assign(new Error("connect failed"), { name: "WebSocketError" }));
+    };
+  });
+}
+
+// Idle wait that ends early when the scan is stopped
+function pause(ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(id);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    };
+    const id = setTimeout(done, ms);
+    signal?.addEventListener("abort", done);
+  });
+}
+
+// Send a token and wait for it to come back; resolves to RTT ms or null on timeout/close
+function echo(ws, timeoutMs) {
+  return new Promise((resolve) => {
+    if (ws.readyState !== WebSocket.OPEN) return resolve(null);
+    const token = `nm-${Math.random().toString(36).slice(2)}`;
+    const start = performance.now();
+    const done = (v) => {
+      clearTimeout(id);
+      ws.removeEventListener("message", onMessage);
+      ws.removeEventListener("close", onClose);
+      resolve(v);
+    };
+    const onMessage = (e) => {
+      if (e.data === token) done(Math.round(performance.now() - start));
+    };
+    const onClose = () => done(null);
+    const id = setTimeout(() => done(null), timeoutMs);
+    ws.addEventListener("message", onMessage);
+    ws.addEventListener("close", onClose);
+    ws.send(token);
+  });
+}
+
+/**
+ * @param {{ url?: string, pings?: number, idleSteps?: number[], echoTimeoutMs?: number, connectTimeoutMs?: number, signal?: AbortSignal }} [options]
+ *   A stopped probe closes the socket and reports only the idle steps it finished.
+ */
+export async function runWebSocketProbe({
+  url = defaultWebSocketUrl(),
+  pings = DEFAULT_WEBSOCKET.pings,
+  idleSteps = DEFAULT_WEBSOCKET.idleSteps,
+  echoTimeoutMs = DEFAULT_WEBSOCKET.echoTimeoutMs,
+  connectTimeoutMs = DEFAULT_WEBSOCKET.connectTimeoutMs,
+  signal,
+} = {}) {
+  if (!url || typeof WebSocket === "undefined") {
+    return { ok: false, url, error: "Unsupported", note: "WebSockets aren't available here." };
+  }
+
+  const start = performance.now();
+  let ws;
+  try {
+    ws = await open(url, connectTimeoutMs);
+  } catch (e) {
+    return { ok: false, url, error: e.name, note: "Couldn't open a WebSocket to the echo endpoint — blocked, or no echo server deployed." };
+  }
+  const connectMs = Math.round(performance.now() - start);
+
+  let closeCode = null;
+  ws.addEventListener("close", (e) => {
+    closeCode = e.code;
+  });
+
+  const rtts = [];
+  let sent = 0;
+  for (; sent < pings && !signal?.aborted; sent++) {
+    const rtt = await echo(ws, echoTimeoutMs);
+    if (rtt != null) rtts.push(rtt);
+  }
+
+  const idle = [];
+  let survivedIdleMs = 0;
+  let droppedAfterMs = null;
+  for (const gap of idleSteps) {
+    await pause(gap, signal);
+    if (signal?.aborted) break;
+    const rtt = await echo(ws, echoTimeoutMs);
+    const survived = rtt != null;
+    idle.push({ idleMs: gap, survived, rtt });
+    if (!survived) {
+      droppedAfterMs = gap;
+      break;
+    }
+    survivedIdleMs = gap;
+  }
+  ws.close();
+
+  const secs = (ms) => Math.round(ms / 1000);
+  return {
+    ok: true,
+    url,
+    connectMs,
+    rtt: { medianMs: median(rtts), jitterMs: jitter(rtts), samples: rtts, lost: sent - rtts.length },
+    idle,
+    survivedIdleMs,
+    droppedAfterMs,
+    closeCode,
+    note:
+      droppedAfterMs != null
+        ? `Connection dropped after ~${secs(droppedAfterMs)} s idle${survivedIdleMs ? ` (survived ${secs(survivedIdleMs)} s)` : ""} — NAT is timing out idle flows; chat and push notifications will miss messages.`
+        : `Connection survived ${secs(survivedIdleMs)} s idle — long-lived connections look stable.`,
+  };
+}
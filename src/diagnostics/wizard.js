@@ -0,0 +1,225 @@
+import { defaultRules, interpolate, loadRules, matches, readFact } from "./rules.js";
+import { DEFAULT_PLAYBOOK } from "./playbook.js";
+
+/**
+ * Guided troubleshooting.
+ *
+ * Generalises the Baseline → After Reset comparison into a decision tree: the
+ * scan the wizard starts from is the baseline, every step asks for one action,
+ * re-runs the probes that matter for it and branches on whether the finding
+ * went away. The state is a plain object and every function returns a new one,
+ * so hosts can keep it in React state, sessionStorage or a test fixture.
+ */
+
+// Optional scan steps a playbook step can re-run, mapped to runScan() option keys.
+// Interception and QUIC verdicts also read the trace, so it re-runs with them.
+export const WIZARD_AREAS = {
+  dns: ["dnsVerification", "nxdomainCheck"],
+  trace: ["trace"],
+  intercept: ["interception", "trace"],
+  quic: ["quicCheck", "trace"],
+  mtu: ["mtu"],
+  ipFamily: ["ipFamily"],
+  stun: ["stun"],
+  websocket: ["websocket"],
+  loss: ["burst"],
+  throughput: ["download", "upload"],
+  responsiveness: ["responsiveness"],
+};
+
+// Top-level ScanResult facts and the areas that produce them; anything else
+// (online, latency, captive, device) is measured by every scan
+const FACT_AREAS = {
+  dns: ["dns"],
+  doh: ["dns"],
+  nxdomain: ["dns"],
+  trace: ["trace"],
+  interception: ["intercept"],
+  quic: ["quic"],
+  mtu: ["mtu"],
+  ipFamily: ["ipFamily"],
+  stun: ["stun"],
+  websocket: ["websocket"],
+  loss: ["loss"],
+  throughput: ["throughput"],
+  responsiveness: ["responsiveness"],
+};
+
+export const WIZARD_STATUSES = ["active", "resolved", "escalated"];
+
+// Reserved step id: the issue is fixed
+const DONE = "done";
+
+// Playbooks that already went through loadPlaybook()
+const loaded = new WeakSet();
+
+/**
+ * Validate a playbook (object or JSON string). Throws TypeError on unknown
+ * areas or dangling step references so a bad file fails when loaded, not
+ * halfway through a user's session. Load once and pass the result around.
+ */
+export function loadPlaybook(source) {
+  if (loaded.has(source)) return source;
+  const playbook = typeof source === "string" ? JSON.parse(source) : source;
+  if (!playbook || !Array.isArray(playbook.paths) || !playbook.steps || typeof playbook.steps !== "object") {
+    throw new TypeError("Playbook needs `paths` (array) and `steps` (object).");
+  }
+  const exists = (id) => id === DONE || id in playbook.steps;
+  for (const path of playbook.paths) {
+    if (!Array.isArray(path.kinds) || !path.kinds.length) throw new TypeError("Playbook path needs a non-empty `kinds` array.");
+    if (!exists(path.start)) throw new TypeError(`Playbook path starts at unknown step "${path.start}".`);
+  }
+  for (const [id, step] of Object.entries(playbook.steps)) {
+    if (typeof step.title !== "string" || !step.title) throw new TypeError(`Step "${id}" needs a title.`);
+    if (step.escalate) continue;
+    const unknown = (step.areas || []).find((a) => !(a in WIZARD_AREAS));
+    if (unknown) throw new TypeError(`Step "${id}" re-checks unknown area "${unknown}".`);
+    for (const key of ["resolved", "unresolved"]) {
+      if (!exists(step[key])) throw new TypeError(`Step "${id}" has unknown ${key} step "${step[key]}".`);
+    }
+  }
+  loaded.add(playbook);
+  return playbook;
+}
+
+// DEFAULT_PLAYBOOK, validated once at import
+export const defaultPlaybook = loadPlaybook(DEFAULT_PLAYBOOK);
+
+// Full fact paths a condition reads ("mtu.verdict", "latency.medianMs")
+function conditionFacts(condition, out = new Set()) {
+  if (!condition || typeof condition !== "object") return out;
+  if (typeof condition.fact === "string") out.add(condition.fact);
+  for (const c of [...(condition.all || []), ...(condition.any || []), condition.not]) conditionFacts(c, out);
+  return out;
+}
+
+function areasFor(facts) {
+  return [...new Set(facts.flatMap((f) => FACT_AREAS[f.split(".")[0]] || []))];
+}
+
+/**
+ * matches(), but a leaf whose fact is null or missing is unknown (null) rather
+ * than false: all() is false once any leaf is false, any() true once any is
+ * true, and everything else with an unknown leaf stays unknown.
+ */
+function decide(condition, facts) {
+  if (!condition || typeof condition !== "object") return false;
+  const combine = (results, settle) => (results.includes(settle) ? settle : results.includes(null) ? null : !settle);
+  if (condition.all) return combine(condition.all.map((c) => decide(c, facts)), false);
+  if (condition.any) return combine(condition.any.map((c) => decide(c, facts)), true);
+  if (condition.not) {
+    const inner = decide(condition.not, facts);
+    return inner == null ? null : !inner;
+  }
+  if (!("fact" in condition)) return true;
+  // `exists` is about presence, so a missing value is an answer there
+  if (!("exists" in condition) && readFact(facts, condition.fact) == null) return null;
+  return matches(condition, facts);
+}
+
+/**
+ * Start from the top-ranked finding that has a path (info/ok findings never
+ * start one). Returns null when nothing in the scan needs fixing.
+ * The target records which facts its rule reads, so every re-check re-runs
+ * the checks that could make it fire again.
+ * @param {Object[]} findings diagnose() output for the baseline scan.
+ * @param {Object} [playbook] loadPlaybook() output.
+ * @param {Object[]} [rules] The rules `findings` came from (loadRules() output).
+ */
+export function startWizard(findings, playbook = defaultPlaybook, rules = defaultRules) {
+  const book = loadPlaybook(playbook);
+  const ruleset = loadRules(rules);
+  for (const f of findings) {
+    if (f.severity !== "critical" && f.severity !== "warning") continue;
+    const path = book.paths.find((p) => p.kinds.includes(f.kind));
+    if (!path) continue;
+    const when = ruleset.find((r) => r.id === f.id)?.when ?? null;
+    const facts = [...conditionFacts(when)];
+    return {
+      target: { id: f.id, kind: f.kind, title: f.title, when, facts, areas: areasFor(facts) },
+      stepId: path.start,
+      status: path.start === DONE ? "resolved" : "active",
+      history: [],
+    };
+  }
+  return null;
+}
+
+/**
+ * The step the user is on, with text interpolated against `facts`
+ * (scan facts plus e.g. `carrier`); null once the wizard has finished as fixed.
+ */
+export function currentStep(state, facts = {}, playbook = defaultPlaybook) {
+  if (!state || state.stepId === DONE) return null;
+  const step = playbook.steps[state.stepId];
+  if (!step) return null;
+  const scope = { ...facts, target: state.target };
+  return {
+    id: state.stepId,
+    escalate: Boolean(step.escalate),
+    // The step's own checks plus whatever the target finding's rule reads
+    areas: [...new Set([...(step.areas || []), ...state.target.areas])],
+    title: interpolate(step.title, scope),
+    instruction: interpolate(step.instruction || "", scope),
+  };
+}
+
+/**
+ * runScan() options for a re-check: optional steps outside `areas` are
+ * switched off; listed ones keep the host's setting (or the engine default).
+ */
+export function recheckOptions(baseOptions, areas = []) {
+  const keep = new Set(areas.flatMap((a) => WIZARD_AREAS[a] || []));
+  const opts = { ...baseOptions };
+  for (const key of Object.values(WIZARD_AREAS).flat()) {
+    if (!keep.has(key)) opts[key] = false;
+  }
+  return opts;
+}
+
+function moveTo(state, nextId, entry, playbook) {
+  const next = nextId === DONE ? null : playbook.steps[nextId];
+  return {
+    ...state,
+    stepId: nextId,
+    status: nextId === DONE ? "resolved" : next?.escalate ? "escalated" : "active",
+    history: [...state.history, entry],
+  };
+}
+
+/**
+ * Branch on a re-check. `findings` and `facts` come from the re-check scan;
+ * the step is resolved when its `resolvedWhen` holds or, by default, when the
+ * target finding's rule no longer holds.
+ *
+ * A stopped re-check (`facts.aborted`) changes nothing. When the decision
+ * hangs on a fact that is null or missing (its check didn't run, didn't finish
+ * or measured nothing) the step stays put with an "inconclusive" history
+ * entry — a finding that can't fire isn't evidence of a fix.
+ * @param {{ findings: Object[], facts: Object, deltaMs?: number|null }} recheck `deltaMs`: median latency vs the baseline.
+ */
+export function advanceWizard(state, { findings, facts, deltaMs = null }, playbook = defaultPlaybook) {
+  if (!state || state.status !== "active" || facts.aborted) return state;
+  const step = playbook.steps[state.stepId];
+  let resolved;
+  if (step.resolvedWhen) resolved = decide(step.resolvedWhen, facts);
+  else if (state.target.when) {
+    // Firing is proof enough that it isn't fixed; clearing needs every fact it hangs on
+    resolved = matches(state.target.when, facts) ? false : decide(state.target.when, facts) === false ? true : null;
+  } else {
+    // Rule unknown to the wizard: fall back to whether the finding shows up
+    resolved = !findings.some((f) => f.id === state.target.id);
+  }
+  if (resolved == null) {
+    return { ...state, history: [...state.history, { stepId: state.stepId, title: step.title, outcome: "inconclusive", deltaMs }] };
+  }
+  const entry = { stepId: state.stepId, title: step.title, outcome: resolved ? "resolved" : "unresolved", deltaMs };
+  return moveTo(state, resolved ? step.resolved : step.unresolved, entry, playbook);
+}
+
+// The user can't or won't do this step: follow the unresolved branch without re-checking
+export function skipWizardStep(state, playbook = defaultPlaybook) {
+  if (!state || state.status !== "active") return state;
+  const step = playbook.steps[state.stepId];
+  return moveTo(state, step.unresolved, { stepId: state.stepId, title: step.title, outcome: "skipped", deltaMs: null }, playbook);
+}
@@ -0,0 +1,148 @@
+/**
+ * Same-origin stand-ins for the opt-in diagnostics that need a readable endpoint.
+ *
+ * - dev / preview: served by middleware, so tests run without any third party
+ * - build: static files are emitted into dist/ so the deployed app self-hosts them
+ *   (POST endpoints such as the upload sink need a host that accepts uploads; builds
+ *   hide the Upload Test unless VITE_UPLOAD_URL points at one)
+ * - the WebSocket echo (see websocket.js) and STUN server (see stun.js) only exist in
+ *   dev / preview; deployments point those probes at their own servers (builds hide the
+ *   Idle Connection Test unless VITE_WEBSOCKET_URL names an echo server)
+ */
+
+import { STUN_PORTS, startStunServers } from "./stun.js";
+import { WEBSOCKET_PATH, handleUpgrade } from "./websocket.js";
+
+export { STUN_PORTS, WEBSOCKET_PATH };
+
+export const PAYLOAD_PATH = "/medic/payload.bin";
+export const PAYLOAD_BYTES = 2_000_000;
+export const UPLOAD_PATH = "/medic/upload";
+
+// Must match SELF_CHECK_EXPECT in src/diagnostics/probes.js
+export const CONNECTIVITY_CHECK_PATH = "/connectivity-check";
+export const CONNECTIVITY_CHECK_BODY = "network-medic-ok";
+
+// Must match DEFAULT_INTERCEPTION_CHECK (the sha256) in src/diagnostics/intercept.js
+export const INTEGRITY_PATH = "/medic/integrity.html";
+export const INTEGRITY_BODY = "<!doctype html><title>network-medic integrity</title><p>network-medic-integrity-v1</p>\n";
+
+// Mirrors public/_headers, which the dev and preview servers don't apply
+const SECURITY_HEADERS = {
+  "X-Content-Type-Options": "nosniff",
+  "Referrer-Policy": "no-referrer",
+  "X-Frame-Options": "DENY",
+};
+
+// Must match DEFAULT_MTU_LADDER in src/diagnostics/mtu.js
+export const MTU_LADDER_PATH = "/medic/size/";
+export const MTU_LADDER_BYTES = [512, 1200, 1500, 4096, 16384, 65536];
+
+// Deterministic pseudo-random bytes (xorshift32) — incompressible, so gzip on the host can't inflate the result
+export function makePayload(size) {
+  const out = new Uint8Array(size);
+  let x = 0x9e3779b9;
+  for (let i = 0; i < size; i++) {
+    x ^= x << 13;
+    x ^= x >>> 17;
+    x ^= x << 5;
+    out[i] = x & 0xff;
+  }
+  return out;
+}
+
+function routes() {
+  const ladder = Object.fromEntries(
+    MTU_LADDER_BYTES.map((bytes) => [
+      `${MTU_LADDER_PATH}${bytes}.bin`,
+      (req, res) => {
+        // Random bytes as octet-stream: a host that gzips the rung never sends a full-size packet
+        res.setHeader("Content-Type", "application/octet-stream");
+        res.setHeader("Cache-Control", "no-store, no-transform");
+        res.end(makePayload(bytes));
+      },
+    ]),
+  );
+  return {
+    ...ladder,
+    [PAYLOAD_PATH]: (req, res) => {
+      res.setHeader("Content-Type", "application/octet-stream");
+      res.setHeader("Cache-Control", "no-store");
+      res.end(makePayload(PAYLOAD_BYTES));
+    },
+    [INTEGRITY_PATH]: (req, res) => {
+      for (const [name, value] of Object.entries(SECURITY_HEADERS)) res.setHeader(name, value);
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      res.setHeader("Cache-Control", "no-store");
+      res.end(INTEGRITY_BODY);
+    },
+    [CONNECTIVITY_CHECK_PATH]: (req, res) => {
+      res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      res.setHeader("Cache-Control", "no-store");
+      res.end(CONNECTIVITY_CHECK_BODY);
+    },
+    // Upload sink: drain the body and report how much arrived
+    [UPLOAD_PATH]: (req, res) => {
+      if (req.method !== "POST") {
+        res.statusCode = 405;
+        res.end();
+        return;
+      }
+      let received = 0;
+      req.on("data", (chunk) => {
+        received += chunk.length;
+      });
+      req.on("end", () => {
+        res.setHeader("Content-Type", "application/json");
+        res.setHeader("Cache-Control", "no-store");
+        res.end(JSON.stringify({ received }));
+      });
+    },
+  };
+}
+
+function middleware(req, res, next) {
+  const path = (req.url || "").split("?")[0];
+  const handler = routes()[path];
+  if (!handler) return next();
+  // Full Resource Timing phases even if the app is served from another origin
+  res.setHeader("Timing-Allow-Origin", "*");
+  handler(req, res);
+}
+
+// Vite's HMR socket listens on the same server but only claims its own protocol
+function attachWebSocket(httpServer) {
+  httpServer?.on("upgrade", (req, socket) => {
+    if ((req.url || "").split("?")[0] === WEBSOCKET_PATH) handleUpgrade(req, socket);
+  });
+}
+
+// UDP lives outside the HTTP server, so tie its lifetime to the server's
+function attachStun(server) {
+  const close = startStunServers(STUN_PORTS, server.config.logger);
+  server.httpServer?.on("close", close);
+}
+
+export default function networkMedicStandins() {
+  return {
+    name: "network-medic-standins",
+    configureServer(server) {
+      server.middlewares.use(middleware);
+      attachWebSocket(server.httpServer);
+      attachStun(server);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(middleware);
+      attachWebSocket(server.httpServer);
+      attachStun(server);
+    },
+    generateBundle() {
+      this.emitFile({ type: "asset", fileName: PAYLOAD_PATH.slice(1), source: makePayload(PAYLOAD_BYTES) });
+      this.emitFile({ type: "asset", fileName: CONNECTIVITY_CHECK_PATH.slice(1), source: CONNECTIVITY_CHECK_BODY });
+      this.emitFile({ type: "asset", fileName: INTEGRITY_PATH.slice(1), source: INTEGRITY_BODY });
+      for (const bytes of MTU_LADDER_BYTES) {
+        this.emitFile({ type: "asset", fileName: `${MTU_LADDER_PATH.slice(1)}${bytes}.bin`, source: makePayload(bytes) });
+      }
+    },
+  };
+}
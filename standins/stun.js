@@ -0,0 +1,90 @@
+import { createSocket } from "node:dgram";
+
+/**
+ * Minimal RFC 5389 STUN server for the WebRTC probe: answers Binding requests
+ * with XOR-MAPPED-ADDRESS and ignores everything else. Two ports behave like
+ * two servers, so the cone/symmetric comparison works locally too.
+ */
+
+export const STUN_PORTS = [3478, 3479];
+
+const MAGIC_COOKIE = 0x2112a442;
+const BINDING_REQUEST = 0x0001;
+const BINDING_SUCCESS = 0x0101;
+const XOR_MAPPED_ADDRESS = 0x0020;
+
+function xorAddress(address, family, txId) {
+  if (family === "IPv4") {
+    const out = new Uint8Array(4);
+    address.split(".").forEach((o, i) => {
+      out[i] = Number(o) ^ ((MAGIC_COOKIE >>> (24 - 8 * i)) & 0xff);
+    });
+    return out;
+  }
+  // IPv6: XOR with cookie + transaction id; expand "::" first
+  const [head, tail = ""] = address.split("::");
+  const h = head ? head.split(":") : [];
+  const t = tail ? tail.split(":") : [];
+  const groups = address.includes("::") ? [...h, ...Array(8 - h.length - t.length).fill("0"), ...t] : h;
+  const key = new Uint8Array(16);
+  new DataView(key.buffer).setUint32(0, MAGIC_COOKIE);
+  key.set(txId, 4);
+  const out = new Uint8Array(16);
+  groups.forEach((g, i) => {
+    const v = parseInt(g, 16);
+    out[i * 2] = (v >> 8) ^ key[i * 2];
+    out[i * 2 + 1] = (v & 0xff) ^ key[i * 2 + 1];
+  });
+  return out;
+}
+
+export function bindingResponse(request, { address, family, port }) {
+  if (request.length < 20) return null;
+  const view = new DataView(request.buffer, request.byteOffset, request.byteLength);
+  if (view.getUint16(0) !== BINDING_REQUEST || view.getUint32(4) !== MAGIC_COOKIE) return null;
+  const txId = request.slice(8, 20);
+
+  const ip = xorAddress(address.replace(/^::ffff:/, ""), address.startsWith("::ffff:") ? "IPv4" : family, txId);
+  const value = new Uint8Array(4 + ip.length);
+  const v = new DataView(value.buffer);
+  v.setUint8(1, ip.length === 4 ? 0x01 : 0x02);
+  v.setUint16(2, port ^ (MAGIC_COOKIE >>> 16));
+  value.set(ip, 4);
+
+  const out = new Uint8Array(20 + 4 + value.length);
+  const o = new DataView(out.buffer);
+  o.setUint16(0, BINDING_SUCCESS);
+  o.setUint16(2, 4 + value.length);
+  o.setUint32(4, MAGIC_COOKIE);
+  out.set(txId, 8);
+  o.setUint16(20, XOR_MAPPED_ADDRESS);
+  o.setUint16(22, value.length);
+  out.set(value, 24);
+  return out;
+}
+
+// Returns a close() for the dev server's shutdown; a busy port is skipped, not fatal
+export function startStunServers(ports = STUN_PORTS, logger = console) {
+  const sockets = ports.map((port) => {
+    const socket = createSocket({ type: "udp6", ipv6Only: false });
+    socket.on("message", (msg, rinfo) => {
+      const res = bindingResponse(msg, rinfo);
+      if (res) socket.send(res, rinfo.port, rinfo.address);
+    });
+    socket.on("error", (e) => {
+      logger.warn(`[network-medic] STUN stand-in on :${port} unavailable (${e.code || e.message})`);
+      socket.close();
+    });
+    socket.bind(port);
+    return socket;
+  });
+  return () => {
+    for (const s of sockets) {
+      try {
+        s.close();
+      } catch {
+        // already closed
+      }
+    }
+  };
+}
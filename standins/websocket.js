@@ -0,0 +1,79 @@
+import { createHash } from "node:crypto";
+
+/**
+ * Minimal RFC 6455 echo server for the long-lived connection probe. Just enough
+ * framing for short text messages, ping and close — no extensions, no
+ * fragmentation — so the dev server needs no extra dependency.
+ */
+
+export const WEBSOCKET_PATH = "/medic/ws";
+
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+function frame(opcode, payload = new Uint8Array(0)) {
+  const len = payload.length;
+  const header = len < 126 ? [0x80 | opcode, len] : [0x80 | opcode, 126, len >> 8, len & 0xff];
+  const out = new Uint8Array(header.length + len);
+  out.set(header);
+  out.set(payload, header.length);
+  return out;
+}
+
+// Parse as many complete client frames as `buf` holds; returns [frames, leftover]
+function parse(buf) {
+  const frames = [];
+  let at = 0;
+  while (buf.length - at >= 2) {
+    const opcode = buf[at] & 0x0f;
+    const masked = (buf[at + 1] & 0x80) !== 0;
+    let len = buf[at + 1] & 0x7f;
+    let offset = at + 2;
+    if (len === 126) {
+      if (buf.length < offset + 2) break;
+      len = (buf[offset] << 8) | buf[offset + 1];
+      offset += 2;
+    } else if (len === 127) {
+      // Far beyond anything the probe sends
+      return [[...frames, { opcode: 0x8, payload: new Uint8Array(0) }], new Uint8Array(0)];
+    }
+    const maskAt = offset;
+    if (masked) offset += 4;
+    if (buf.length < offset + len) break;
+    const payload = buf.slice(offset, offset + len);
+    if (masked) for (let i = 0; i < len; i++) payload[i] ^= buf[maskAt + (i % 4)];
+    frames.push({ opcode, payload });
+    at = offset + len;
+  }
+  return [frames, buf.slice(at)];
+}
+
+export function handleUpgrade(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = createHash("sha1").update(key + GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`,
+  );
+  socket.setNoDelay(true);
+
+  let pending = new Uint8Array(0);
+  socket.on("data", (chunk) => {
+    const joined = new Uint8Array(pending.length + chunk.length);
+    joined.set(pending);
+    joined.set(chunk, pending.length);
+    const [frames, rest] = parse(joined);
+    pending = rest;
+    for (const { opcode, payload } of frames) {
+      if (opcode === 0x1 || opcode === 0x2) socket.write(frame(opcode, payload));
+      else if (opcode === 0x9) socket.write(frame(0xa, payload));
+      else if (opcode === 0x8) {
+        socket.end(frame(0x8, payload.slice(0, 2)));
+        return;
+      }
+    }
+  });
+  socket.on("error", () => socket.destroy());
+}
@@ -1,10 +1,15 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import { VitePWA } from "vite-plugin-pwa";
+import networkMedicStandins from "./standins/index.js";
 
 export default defineConfig({
   plugins: [
     react(),
+
+    // Same-origin endpoints for throughput and other readable probes
+    networkMedicStandins(),
+
     VitePWA({
       // Inject the SW register script into index.html automatically
       injectRegister: "auto",
@@ -20,6 +25,10 @@ export default defineConfig({
 
         // IMPORTANT: keep probes live-only
         runtimeCaching: [],
+
+        // Diagnostic endpoints (e.g. the integrity reference file) must never be
+        // precached — a cached copy can't show what the network did to it
+        globIgnores: ["medic/**", "connectivity-check"],
       },
 
       includeAssets: [